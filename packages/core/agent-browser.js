@@ -0,0 +1,213 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// Thin wrapper around the agent-browser CLI (https://github.com/vercel-labs/agent-browser).
+// Every call is a synchronous spawn; daemon hiccups are retried once after a reset.
+
+function logVerbose(verbose, msg, extra) {
+  if (!verbose) return;
+  if (extra !== undefined) console.log(`[verbose] ${msg}`, extra);
+  else console.log(`[verbose] ${msg}`);
+}
+
+// values typed into the page (`fill <sel> <text>`, `find label <label> fill <text>`) and proxy credentials are
+// masked in verbose output
+export function redactAgentBrowserArgs(args) {
+  const out = args.map(String);
+  const at = out.findIndex((a) => a === 'fill' || a === 'type');
+  if (at !== -1) {
+    const textAt = out.slice(0, at).includes('find') ? at + 1 : at + 2;
+    if (textAt < out.length) out[textAt] = '***';
+  }
+  const proxyAt = out.indexOf('--proxy');
+  if (proxyAt !== -1 && out[proxyAt + 1]) out[proxyAt + 1] = out[proxyAt + 1].replace(/\/\/[^@/]*@/, '//***@');
+  return out;
+}
+
+export function resolveAgentBrowserBin() {
+  if (process.env.AGENT_BROWSER_BIN) return process.env.AGENT_BROWSER_BIN;
+  const candidates = [];
+  if (process.platform === 'win32') {
+    const appData = process.env.APPDATA || '';
+    const programFiles = process.env.ProgramFiles || 'C:\\\\Program Files';
+    const programFilesX86 = process.env['ProgramFiles(x86)'] || 'C:\\\\Program Files (x86)';
+    const globalBin = path.join(programFiles, 'nodejs', 'node_modules', 'agent-browser', 'bin');
+    candidates.push(path.join(globalBin, 'agent-browser.js'));
+    candidates.push(path.join(globalBin, 'agent-browser-win32-x64.exe'));
+    candidates.push(path.join(appData, 'npm', 'agent-browser.cmd'));
+    candidates.push(path.join(appData, 'npm', 'agent-browser'));
+    candidates.push(path.join(programFiles, 'nodejs', 'agent-browser.cmd'));
+    candidates.push(path.join(programFiles, 'nodejs', 'agent-browser'));
+    candidates.push(path.join(programFilesX86, 'nodejs', 'agent-browser.cmd'));
+    candidates.push(path.join(programFilesX86, 'nodejs', 'agent-browser'));
+  } else {
+    candidates.push('agent-browser');
+    candidates.push('/usr/local/bin/agent-browser');
+    candidates.push('/usr/bin/agent-browser');
+  }
+  for (const c of candidates) {
+    if (!c || c === 'agent-browser') return c;
+    if (fs.existsSync(c)) return c;
+  }
+  return 'agent-browser';
+}
+
+// `input` is written to the CLI's stdin (used by `batch` to keep typed values out of argv)
+export function runAgentBrowser(args, { json = false, timeoutMs = 30000, env = {}, input, retryOnDaemon = true, verbose = false } = {}) {
+  const finalArgs = [...args];
+  if (json && !finalArgs.includes('--json')) finalArgs.push('--json');
+  const bin = resolveAgentBrowserBin();
+  const isJs = bin.toLowerCase().endsWith('.js');
+  const needsShell = /\\.cmd$|\\.bat$/i.test(bin);
+  logVerbose(verbose, `agent-browser: ${bin} ${redactAgentBrowserArgs(finalArgs).join(' ')}${input === undefined ? '' : ' (stdin)'}`);
+  let res;
+  if (isJs) {
+    res = spawnSync('node', [bin, ...finalArgs], {
+      encoding: 'utf8',
+      timeout: timeoutMs,
+      input,
+      env: { ...process.env, ...env },
+    });
+  } else if (needsShell) {
+    const esc = (v) => `"${String(v).replace(/\"/g, '\\"')}"`;
+    const cmd = [esc(bin), ...finalArgs.map(esc)].join(' ');
+    res = spawnSync(cmd, {
+      encoding: 'utf8',
+      timeout: timeoutMs,
+      input,
+      env: { ...process.env, ...env },
+      shell: true,
+    });
+  } else {
+    res = spawnSync(bin, finalArgs, {
+      encoding: 'utf8',
+      timeout: timeoutMs,
+      input,
+      env: { ...process.env, ...env },
+    });
+  }
+  if (res.error) {
+    if (res.error.code === 'ETIMEDOUT' && retryOnDaemon) {
+      logVerbose(verbose, 'agent-browser timeout; resetting daemon and retrying');
+      try {
+        closeDaemonBestEffort(verbose);
+        waitForDaemonShutdown();
+        cleanupDaemonArtifacts();
+      } catch {
+        // ignore
+      }
+      const bumped = Math.min(timeoutMs * 2, 120000);
+      return runAgentBrowser(args, { json, timeoutMs: bumped, env, input, retryOnDaemon: false, verbose });
+    }
+    throw res.error;
+  }
+  if (res.status !== 0) {
+    const msg = (res.stderr || res.stdout || '').trim();
+    logVerbose(verbose, 'agent-browser error', msg);
+    if (retryOnDaemon && msg.includes('daemon already running')) {
+      try {
+        closeDaemonBestEffort(verbose);
+        waitForDaemonShutdown();
+        cleanupDaemonArtifacts();
+        return runAgentBrowser(args, { json, timeoutMs, env, input, retryOnDaemon: false, verbose });
+      } catch {
+        // fall through to error
+      }
+    }
+    if (retryOnDaemon && msg.includes('Daemon failed to start')) {
+      try {
+        cleanupDaemonArtifacts();
+        return runAgentBrowser(args, { json, timeoutMs, env, input, retryOnDaemon: false, verbose });
+      } catch {
+        // fall through to error
+      }
+    }
+    throw new Error(`agent-browser failed: ${msg}`);
+  }
+  const out = (res.stdout || '').trim();
+  logVerbose(verbose, 'agent-browser stdout', out);
+  if (!json) return out;
+  try {
+    return JSON.parse(out);
+  } catch (e) {
+    const m = out.match(/\{[\s\S]*\}/);
+    if (m) return JSON.parse(m[0]);
+    throw new Error(`Failed to parse JSON output: ${out}`);
+  }
+}
+
+export function closeDaemonBestEffort(verbose = false) {
+  try {
+    runAgentBrowser(['close'], { timeoutMs: 15000, retryOnDaemon: false, verbose });
+  } catch {
+    // ignore
+  }
+}
+
+export function waitForDaemonShutdown() {
+  // give the daemon time to release sockets/processes
+  try {
+    spawnSync('cmd.exe', ['/d', '/s', '/c', 'timeout /t 2 >nul'], { timeout: 3000 });
+  } catch {
+    // ignore
+  }
+}
+
+export function cleanupDaemonArtifacts() {
+  try {
+    const base = path.join(process.env.USERPROFILE || 'C:\\\\Users\\\\ROG', '.agent-browser');
+    if (!fs.existsSync(base)) return;
+    const files = fs.readdirSync(base);
+    const pidFiles = files.filter((f) => f.endsWith('.pid'));
+    for (const f of pidFiles) {
+      try {
+        const pid = fs.readFileSync(path.join(base, f), 'utf8').trim();
+        if (pid) {
+          spawnSync('taskkill', ['/PID', pid, '/F'], { timeout: 5000 });
+        }
+      } catch {
+        // ignore
+      }
+    }
+    const junk = files.filter((f) => f.endsWith('.sock') || f.endsWith('.pid') || f.endsWith('.port'));
+    for (const f of junk) {
+      try {
+        fs.unlinkSync(path.join(base, f));
+      } catch {
+        // ignore per-file
+      }
+    }
+    if (process.platform === 'win32') {
+      try {
+        const res = spawnSync('wmic', ['process', 'where', 'name="node.exe"', 'get', 'ProcessId,CommandLine'], {
+          encoding: 'utf8',
+          timeout: 3000,
+        });
+        const lines = (res.stdout || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+        for (const line of lines) {
+          if (!line.toLowerCase().includes('agent-browser')) continue;
+          const pidMatch = line.match(/(\d+)\s*$/);
+          if (pidMatch) {
+            spawnSync('taskkill', ['/PID', pidMatch[1], '/F'], { timeout: 5000 });
+          }
+        }
+      } catch {
+        // ignore
+      }
+    }
+  } catch {
+    // ignore
+  }
+}
+
+export function listAgentBrowserSessions(verbose = false) {
+  try {
+    const sessions = runAgentBrowser(['session', 'list', '--json'], { timeoutMs: 5000, retryOnDaemon: false, verbose });
+    const list = Array.isArray(sessions?.sessions) ? sessions.sessions : (Array.isArray(sessions) ? sessions : []);
+    return list.map((s) => (typeof s === 'string' ? s : s?.name)).filter(Boolean);
+  } catch {
+    // ignore if daemon not running
+    return [];
+  }
+}
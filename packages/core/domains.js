@@ -0,0 +1,58 @@
+// Per-profile domain fence: `allowed_domains` / `denied_domains` glob lists in guardrails.yaml.
+// A bare domain covers its subdomains (`example.com` matches `www.example.com`); `*` is a wildcard
+// (`*.example.com`, `shop-*.example.org`). Denied wins over allowed; an empty allowlist allows every host.
+// Hosts and patterns lose one trailing dot (`evil.com.` is `evil.com`). With either list set, host-less urls
+// (`javascript:`, `data:`, `file:`) are refused: a denylist cannot say where they lead.
+
+const ALWAYS_ALLOWED = new Set(['about:blank', 'about:srcdoc']);
+
+function toPatterns(list) {
+  return (Array.isArray(list) ? list : list ? [list] : [])
+    .map((entry) => String(entry).trim().toLowerCase())
+    .filter(Boolean)
+    // tolerate full URLs in the config: keep only the host part
+    .map((entry) => stripDot(entry.replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/[/:].*$/, '')));
+}
+
+function stripDot(host) {
+  return host.endsWith('.') ? host.slice(0, -1) : host;
+}
+
+function hostMatcher(pattern) {
+  if (!pattern.includes('*')) return (host) => host === pattern || host.endsWith(`.${pattern}`);
+  const re = new RegExp(`^${pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return (host) => re.test(host);
+}
+
+export function createDomainPolicy(profile = {}) {
+  const allowed = toPatterns(profile?.allowed_domains).map((p) => ({ pattern: p, test: hostMatcher(p) }));
+  const denied = toPatterns(profile?.denied_domains).map((p) => ({ pattern: p, test: hostMatcher(p) }));
+  return {
+    active: allowed.length > 0 || denied.length > 0,
+    // null when the url may be reached, otherwise the violation to report
+    check(url) {
+      if (!allowed.length && !denied.length) return null;
+      const text = String(url || '');
+      if (!text || ALWAYS_ALLOWED.has(text.replace(/[?#].*$/, ''))) return null;
+      let host = '';
+      try {
+        host = stripDot(new URL(text).hostname.toLowerCase());
+      } catch (_) {
+        host = '';
+      }
+      const rule = host && denied.find((d) => d.test(host));
+      if (rule) return { url: text, host, reason: 'denied_domains', rule: rule.pattern };
+      if (!host && !allowed.length) return { url: text, host: null, reason: 'denied_domains', rule: null };
+      if (allowed.length && !(host && allowed.some((a) => a.test(host)))) {
+        return { url: text, host: host || null, reason: 'allowed_domains', allowed: allowed.map((a) => a.pattern) };
+      }
+      return null;
+    }
+  };
+}
+
+export function domainBlockedError(violation) {
+  const err = new Error('domain_blocked');
+  err.details = violation;
+  return err;
+}
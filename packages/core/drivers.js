@@ -0,0 +1,1553 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { runAgentBrowser } from './agent-browser.js';
+
+// Browser drivers: Playwright launch, Playwright over CDP, agent-browser and an in-memory fake.
+// executeStep only talks to this surface, so a plan runs unchanged on any backend:
+//   name, url(), title(), viewportSize(), deviceScaleFactor(), navigate(url), click(key, { frame? }),
+//   fill(key, text, { frame? }), scroll({ deltaY, id?, frame? }),
+//   (key is a snapshot ref like @e12, resolved exactly, or a free-form id/label; frame is f2, a frame name or URL part,
+//   and drivers that cannot address frames that way throw frame_unsupported)
+//   mouse.{move,down,up,click,wheel}, keyboard.{down,up,press}, wait(ms),
+//   screenshot({ path?, fullPage? }) -> Buffer, snapshot() -> { interactables, frames }, dismissCookies(logger), close(),
+//   text({ id?, selector? }) -> string, tables({ id?, selector? }) -> [{ headers, rows:string[][] }],
+//   isVisible({ id?, selector? }) -> boolean,
+//   tabs() -> [{ id, index, url, title, active }], newTab(url?), switchTab(key), closeTab(key?),
+//   selectOption(key, values) -> selected values, setChecked(key, checked),
+//   upload(key, filePath), waitForDownload({ timeoutMs }) -> { url, suggestedFilename, saveAs(path) },
+//   blockRequests({ resourceTypes, urlPatterns }), mockResponse({ urlPattern, status, body, headers, times }),
+//   waitForResponse({ urlPattern, status?, timeoutMs, since }) -> { url, status, ok, method, headers, body }
+//   (click resolves to { popup } when it opened a tab; click(key, { followPopup: true }) makes that tab active)
+// Optional: capture { trace, har, video } reports what is being recorded, tracing.{startChunk,stopChunk}
+// exists when Playwright tracing is on, storageState() -> { cookies, origins } when the context can be exported, and
+// fenceRequests(check) / blockedNavigations() when requests can be refused before they are sent (see createFenceRule).
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+const COOKIE_LABELS = [
+  'Reject all',
+  'Reject All',
+  'Reject',
+  'Accept all',
+  'Accept All',
+  'Accept',
+  'Allow all',
+  'Allow All',
+  'Agree',
+  'I agree',
+  'Continue without accepting',
+  'Continue without consenting'
+];
+
+const POPUP_REJECT = [
+  'reject', 'decline', 'deny', 'refuse', 'later', 'close', 'dismiss', 'not now', 'skip',
+  'refuser', 'rejeter', 'refuse', 'non', 'plus tard', 'fermer',
+  'ablehnen', 'verweigern', 'schließen', 'nein',
+  'rechazar', 'denegar', 'cerrar', 'no',
+  'rifiuta', 'nega', 'chiudi', 'no',
+  'recusar', 'negar', 'fechar', 'nao',
+  'weiger', 'sluit', 'nee',
+  'avslå', 'lukk', 'nej',
+  'hylkää', 'sulje', 'ei',
+  'отклон', 'закры', 'нет',
+  'отхвър', 'отказ', 'не прием',
+  '拒否', '拒绝', '닫기', '거부'
+];
+const POPUP_ACCEPT = [
+  'accept', 'agree', 'allow', 'consent', 'ok', 'continue',
+  'accepter', 'autoriser', 'continuer',
+  'akzeptieren', 'zustimmen',
+  'aceptar', 'permitir', 'continuar',
+  'accetta', 'consenti', 'continua',
+  'aceitar', 'permitir', 'continuar',
+  'accepteren', 'toestaan',
+  'godta', 'tillad',
+  'hyväksy',
+  'принять', 'соглас',
+  'прием', 'разреш', 'съглас',
+  '同意', '接受', '허용'
+];
+const POPUP_HINTS = [
+  'cookie', 'cookies', 'consent', 'privacy', 'personalization', 'preferences',
+  'paramètres', 'parametres', 'confidentialité', 'confidentialite',
+  'consentement', 'personalisation'
+];
+
+function scoreCandidate(text, keyLower) {
+  if (!text) return 0;
+  const t = text.toLowerCase();
+  if (t === keyLower) return 4;
+  if (t.includes(keyLower)) return 3;
+  if (keyLower.includes(t)) return 2;
+  // soft match: Jaro-Winkler-lite (prefix bonus)
+  let bonus = 0;
+  const minLen = Math.min(t.length, keyLower.length);
+  for (let i = 0; i < Math.min(minLen, 4); i++) {
+    if (t[i] === keyLower[i]) bonus += 0.25;
+    else break;
+  }
+  return bonus;
+}
+
+export function findInteractableByLabel(interactables, key) {
+  if (!key || !Array.isArray(interactables)) return null;
+  const keyLower = key.toLowerCase();
+  let best = null;
+  let bestScore = 0;
+  for (const cand of interactables) {
+    const score =
+      scoreCandidate(cand.id, keyLower) * 1.4 +
+      scoreCandidate(cand.label, keyLower) * 1.2 +
+      scoreCandidate(cand.locatorHint, keyLower) +
+      scoreCandidate(cand.role, keyLower) * 0.6;
+    if (score > bestScore) {
+      bestScore = score;
+      best = cand;
+    }
+  }
+  return bestScore >= 1 ? best : null;
+}
+
+export function bboxCenter(bbox) {
+  if (!bbox) return null;
+  const { x, y, width, height, centerX, centerY } = bbox;
+  if (Number.isFinite(centerX) && Number.isFinite(centerY)) return { x: centerX, y: centerY };
+  if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(width) && Number.isFinite(height)) {
+    return { x: x + width / 2, y: y + height / 2 };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Playwright
+
+const MAX_INTERACTABLES = 400;
+const REF_ATTR = 'data-loopert-ref';
+const REF_PATTERN = /^@?(e\d+)$/;
+
+// Interactables come from Chromium's own accessibility tree (CDP Accessibility.getFullAXTree): role, accessible
+// name, states and value are what assistive tech sees, open shadow roots included. Kept nodes are tagged with
+// data-loopert-ref through their backend DOM node so refs resolve exactly and survive later snapshots.
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'searchbox', 'combobox', 'listbox', 'option', 'checkbox', 'radio',
+  'switch', 'slider', 'spinbutton', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'treeitem'
+]);
+const AX_OBJECT_GROUP = 'loopert-snapshot';
+
+// Runs in the frame with the kept elements (in accessibility order) as arguments: assigns missing refs and
+// reports what the AX tree does not carry.
+function tagAccessibleElements(refAttr, startSeq, ...els) {
+  let seq = startSeq;
+  const nodes = els.map((el) => {
+    let ref = el.getAttribute(refAttr);
+    if (!ref) {
+      ref = `e${seq++}`;
+      el.setAttribute(refAttr, ref);
+    }
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return {
+      ref,
+      type: el.getAttribute('type') || el.tagName.toLowerCase(),
+      password: el.type === 'password',
+      domId: el.id || undefined,
+      shown: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden',
+      bbox: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+    };
+  });
+  return { nodes, nextSeq: seq };
+}
+
+function axStates(node) {
+  const props = Object.fromEntries((node.properties || []).map((p) => [p.name, p.value?.value]));
+  const out = {};
+  if (props.disabled === true) out.disabled = true;
+  if (props.checked === 'true' || props.checked === true || props.pressed === 'true') out.checked = true;
+  if (props.expanded !== undefined) out.expanded = props.expanded === true;
+  if (props.selected === true) out.selected = true;
+  if (props.required === true) out.required = true;
+  if (props.focused === true) out.focused = true;
+  return out;
+}
+
+// contenteditable regions have no textbox role in the AX tree, only an `editable` property
+function axRole(node) {
+  const role = node.role?.value || '';
+  if (INTERACTIVE_ROLES.has(role)) return role;
+  const editable = (node.properties || []).find((p) => p.name === 'editable')?.value?.value;
+  return editable === 'richtext' && (node.properties || []).some((p) => p.name === 'focusable') ? 'textbox' : '';
+}
+
+// Nodes in accessibility (document) order: depth-first from the root through childIds.
+function axOrder(nodes) {
+  const byId = new Map(nodes.map((n) => [n.nodeId, n]));
+  const childIds = new Set(nodes.flatMap((n) => n.childIds || []));
+  const ordered = [];
+  const stack = nodes.filter((n) => !childIds.has(n.nodeId)).reverse();
+  while (stack.length) {
+    const node = stack.pop();
+    ordered.push(node);
+    for (const id of [...(node.childIds || [])].reverse()) {
+      if (byId.has(id)) stack.push(byId.get(id));
+    }
+  }
+  return ordered;
+}
+
+// A CDP session and frame id for a Playwright frame: out-of-process iframes have their own session, the rest are
+// addressed through the page session by the frame id Page.getFrameTree reports for the same name and URL.
+async function axTargetFor(page, frame, refState) {
+  if (!refState.cdp) refState.cdp = page.context().newCDPSession(page);
+  const pageSession = await refState.cdp;
+  if (frame === page.mainFrame()) return { session: pageSession };
+  try {
+    return { session: await page.context().newCDPSession(frame) };
+  } catch (_) {
+    // same-process frame
+  }
+  const { frameTree } = await pageSession.send('Page.getFrameTree');
+  const flat = [];
+  const walk = (tree) => {
+    for (const child of tree.childFrames || []) {
+      flat.push(child.frame);
+      walk(child);
+    }
+  };
+  walk(frameTree);
+  const twins = page.frames().filter((f) => f !== page.mainFrame() && f.name() === frame.name() && f.url() === frame.url());
+  const match = flat.filter((f) => (f.name || '') === frame.name() && f.url === frame.url())[twins.indexOf(frame)];
+  if (!match) throw new Error('frame_not_found');
+  return { session: pageSession, frameId: match.id };
+}
+
+async function collectAccessibleNodes(page, frame, refState, { startSeq, max }) {
+  const { session, frameId } = await axTargetFor(page, frame, refState);
+  const { nodes } = await session.send('Accessibility.getFullAXTree', frameId ? { frameId } : {});
+  const kept = axOrder(nodes)
+    .filter((n) => !n.ignored && n.backendDOMNodeId && axRole(n))
+    .slice(0, max);
+  if (!kept.length) return { nodes: [], nextSeq: startSeq };
+  try {
+    const handles = await Promise.all(
+      kept.map((n) => session.send('DOM.resolveNode', { backendNodeId: n.backendDOMNodeId, objectGroup: AX_OBJECT_GROUP }))
+    );
+    const { result, exceptionDetails } = await session.send('Runtime.callFunctionOn', {
+      objectId: handles[0].object.objectId,
+      functionDeclaration: tagAccessibleElements.toString(),
+      arguments: [{ value: REF_ATTR }, { value: startSeq }, ...handles.map((h) => ({ objectId: h.object.objectId }))],
+      returnByValue: true
+    });
+    if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+    const tagged = result.value;
+    const out = [];
+    tagged.nodes.forEach((dom, i) => {
+      if (!dom.shown) return;
+      const node = kept[i];
+      const value = node.value?.value;
+      out.push({
+        ref: dom.ref,
+        role: axRole(node),
+        name: String(node.name?.value || '').replace(/\s+/g, ' ').trim().slice(0, 120),
+        type: dom.type,
+        states: axStates(node),
+        value: value === undefined || value === null || dom.password ? undefined : String(value).slice(0, 120),
+        domId: dom.domId,
+        bbox: dom.bbox
+      });
+    });
+    return { nodes: out, nextSeq: tagged.nextSeq };
+  } finally {
+    await session.send('Runtime.releaseObjectGroup', { objectGroup: AX_OBJECT_GROUP }).catch(() => { });
+  }
+}
+
+// Child frames get ids f1, f2, ... that stay fixed for the frame's lifetime.
+function frameIdFor(page, frame, refState) {
+  if (frame === page.mainFrame()) return null;
+  let id = refState.frameIds.get(frame);
+  if (!id) {
+    id = `f${refState.nextFrame++}`;
+    refState.frameIds.set(frame, id);
+  }
+  return id;
+}
+
+// Resolve a frame qualifier: frame id (f2), frame name, or a substring of the frame URL.
+function findFrame(page, refState, key) {
+  if (!key) return page.mainFrame();
+  const target = String(key);
+  if (target === 'main') return page.mainFrame();
+  const frames = page.frames();
+  const match =
+    frames.find((f) => refState?.frameIds.get(f) === target) ||
+    frames.find((f) => f.name() === target) ||
+    frames.find((f) => f !== page.mainFrame() && f.url().includes(target));
+  if (!match) throw new Error('frame_not_found');
+  return match;
+}
+
+function listFrames(page, refState) {
+  return page
+    .frames()
+    .filter((f) => f !== page.mainFrame() && !f.isDetached())
+    .map((f) => ({ id: frameIdFor(page, f, refState), name: f.name() || undefined, url: f.url() }));
+}
+
+// Collects interactables from every frame; refs are unique per page (one counter across frames/snapshots).
+async function collectInteractables(page, refState) {
+  const interactables = [];
+  for (const frame of page.frames()) {
+    if (interactables.length >= MAX_INTERACTABLES) break;
+    let offset = { x: 0, y: 0 };
+    if (frame !== page.mainFrame()) {
+      const box = await frame.frameElement().then((el) => el.boundingBox()).catch(() => null);
+      if (!box) continue;
+      offset = { x: box.x, y: box.y };
+    }
+    let result;
+    try {
+      result = await collectAccessibleNodes(page, frame, refState, {
+        startSeq: refState.nextSeq,
+        max: MAX_INTERACTABLES - interactables.length
+      });
+    } catch (_) {
+      continue; // detached or navigating frame
+    }
+    refState.nextSeq = Math.max(refState.nextSeq, result.nextSeq);
+    for (const node of result.nodes) {
+      refState.frames.set(node.ref, frame);
+      const x = node.bbox.x + offset.x;
+      const y = node.bbox.y + offset.y;
+      interactables.push({
+        id: `@${node.ref}`,
+        ref: node.ref,
+        role: node.role,
+        type: node.type,
+        label: node.name || node.domId || node.role,
+        name: node.name,
+        states: node.states,
+        value: node.value,
+        locatorHint: node.domId ? `#${node.domId}` : `@${node.ref}`,
+        frame: frameIdFor(page, frame, refState) || undefined,
+        frameUrl: frame === page.mainFrame() ? undefined : frame.url(),
+        bbox: {
+          x,
+          y,
+          width: node.bbox.width,
+          height: node.bbox.height,
+          centerX: x + node.bbox.width / 2,
+          centerY: y + node.bbox.height / 2
+        }
+      });
+    }
+  }
+  return interactables;
+}
+
+// Runs in the page (Playwright evaluate / agent-browser eval), so it must stay self-contained.
+// `scope` is a CSS selector, an element, or empty for the whole document.
+function readTables(scope) {
+  const root = typeof scope === 'string' && scope ? document.querySelector(scope) : scope || document;
+  if (!root) return [];
+  const tables = root.tagName === 'TABLE' ? [root] : Array.from(root.querySelectorAll('table'));
+  const cellText = (cell) => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+  return tables.map((table) => {
+    const rows = Array.from(table.rows);
+    let headerRow = table.tHead && table.tHead.rows.length ? table.tHead.rows[table.tHead.rows.length - 1] : null;
+    if (!headerRow && rows[0] && Array.from(rows[0].cells).every((c) => c.tagName === 'TH')) headerRow = rows[0];
+    const headers = headerRow ? Array.from(headerRow.cells).map(cellText) : [];
+    const body = rows
+      .filter((r) => r !== headerRow && !(table.tHead && table.tHead.contains(r)))
+      .map((r) => Array.from(r.cells).map(cellText));
+    return { headers, rows: body };
+  });
+}
+
+// Network rules: a pattern is `/regex/flags`, a glob (`**/api/*`; `*` stays within a path segment) or a substring.
+export function urlMatcher(pattern) {
+  const text = String(pattern ?? '');
+  const regex = text.match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return (url) => re.test(url);
+  }
+  if (text.includes('*')) {
+    const escape = (part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const body = text
+      .split('**')
+      .map((chunk) => chunk.split('*').map(escape).join('[^/]*'))
+      .join('.*');
+    const re = new RegExp(`^${body}$`);
+    return (url) => re.test(url);
+  }
+  return (url) => url.includes(text);
+}
+
+// `ads` / `trackers` are pseudo resource types matched by host rather than by Playwright's resourceType()
+const BLOCK_CATEGORIES = {
+  ads: ['doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adnxs.com', 'criteo.com', 'taboola.com', 'outbrain.com', 'amazon-adsystem.com'],
+  trackers: ['google-analytics.com', 'googletagmanager.com', 'connect.facebook.net', 'hotjar.com', 'segment.io', 'mixpanel.com', 'scorecardresearch.com', 'clarity.ms']
+};
+const MAX_BUFFERED_RESPONSES = 200;
+
+function hostMatches(url, hosts) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (_) {
+    return false;
+  }
+  return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+function createBlockRule({ resourceTypes = [], urlPatterns = [] } = {}) {
+  const types = new Set(resourceTypes.filter((t) => !BLOCK_CATEGORIES[t]));
+  const hosts = resourceTypes.flatMap((t) => BLOCK_CATEGORIES[t] || []);
+  const matchers = urlPatterns.map(urlMatcher);
+  return {
+    kind: 'block',
+    matches: (url, type) => types.has(type) || hostMatches(url, hosts) || matchers.some((m) => m(url))
+  };
+}
+
+// Domain fence at the routing layer: `check(url)` returns a violation (or null) for http(s) navigations, in any
+// frame, and a navigation it rejects is aborted whatever other rule matches. Subresources (images, scripts, XHR
+// to a CDN or API host) are left to the page: the fence is about which sites the agent reaches, and `fetch` is
+// checked by the tool itself. Main-frame navigations refused this way are kept for blockedNavigations() so the
+// step can be reported as domain_blocked.
+function createFenceRule(check) {
+  return {
+    kind: 'fence',
+    check,
+    matches: (url, _type, navigation) => navigation === true && /^https?:/i.test(url) && Boolean(check(url))
+  };
+}
+
+// body may be a string or JSON-able value; `times` limits how often the mock answers
+function createMockRule({ urlPattern, status = 200, body = '', headers = {}, contentType, times } = {}) {
+  const isJson = body !== null && typeof body === 'object';
+  const matcher = urlMatcher(urlPattern);
+  return {
+    kind: 'mock',
+    used: 0,
+    times: Number.isFinite(Number(times)) && times !== undefined ? Number(times) : undefined,
+    matches: (url) => matcher(url),
+    response: {
+      status: Number(status),
+      headers,
+      contentType: contentType || (isJson ? 'application/json' : 'text/plain'),
+      body: isJson ? JSON.stringify(body) : String(body ?? '')
+    }
+  };
+}
+
+// mocks are checked before blocks so a stubbed API still answers under a broad blocklist
+function pickRule(rules, url, type, navigation = false) {
+  const fence = rules.find((rule) => rule.kind === 'fence' && rule.matches(url, type, navigation));
+  if (fence) return fence;
+  for (const rule of rules) {
+    if (rule.kind !== 'mock' || !rule.matches(url, type)) continue;
+    if (rule.times !== undefined && rule.used >= rule.times) continue;
+    rule.used += 1;
+    return rule;
+  }
+  return rules.find((rule) => rule.kind === 'block' && rule.matches(url, type)) || null;
+}
+
+function cssEscape(value) {
+  // Minimal CSS.escape fallback
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, (ch) => `\\${ch}`);
+}
+
+function labelCandidates(scope, target) {
+  return [
+    { desc: 'id', locator: scope.locator(`#${cssEscape(target)}`) },
+    { desc: 'name', locator: scope.locator(`[name="${target}"]`) },
+    { desc: 'aria-label', locator: scope.getByLabel(target) },
+    { desc: 'placeholder', locator: scope.locator(`[placeholder="${target}"]`) },
+    { desc: 'text', locator: scope.getByText(target).first() }
+  ];
+}
+
+// Playwright CSS and getBy* locators already pierce open shadow roots; frames are searched explicitly.
+// `frameKey` limits the lookup to one frame, otherwise the main frame is tried first, then child frames.
+async function resolveLocator(page, key, refState, frameKey) {
+  const target = String(key || '').trim();
+  if (!target) throw new Error('selector_missing_key');
+
+  // snapshot refs (@e12) are exact: no guessing through the label chain
+  const refMatch = target.match(REF_PATTERN);
+  if (refMatch) {
+    const frame = refState?.frames.get(refMatch[1]) || findFrame(page, refState, frameKey);
+    const locator = frame.locator(`[${REF_ATTR}="${refMatch[1]}"]`);
+    if ((await locator.count().catch(() => 0)) > 0) return locator.first();
+    throw new Error('ref_not_found');
+  }
+
+  const frames = frameKey ? [findFrame(page, refState, frameKey)] : page.frames();
+  for (const frame of frames) {
+    const timeout = frame === page.mainFrame() || frameKey ? 1500 : 300;
+    for (const { locator } of labelCandidates(frame, target)) {
+      try {
+        const handle = await locator.first().elementHandle({ timeout });
+        if (handle) {
+          return locator.first();
+        }
+      } catch (err) {
+        // continue to next candidate
+      }
+    }
+  }
+
+  throw new Error('selector_not_found');
+}
+
+async function dismissCookiesInFrame(frame, logger, where) {
+  for (const label of COOKIE_LABELS) {
+    try {
+      const btn = frame.getByRole('button', { name: label, exact: false }).first();
+      const handle = await btn.elementHandle({ timeout: 400 });
+      if (handle) {
+        await btn.click({ timeout: 800 });
+        if (logger) logger(`cookie dismiss${where}: clicked "${label}"`);
+        return true;
+      }
+    } catch (_) {
+      // try next
+    }
+  }
+  // fallback: try links
+  for (const label of COOKIE_LABELS) {
+    try {
+      const link = frame.getByText(label, { exact: false }).first();
+      const handle = await link.elementHandle({ timeout: 400 });
+      if (handle) {
+        await link.click({ timeout: 800 });
+        if (logger) logger(`cookie dismiss (text)${where}: clicked "${label}"`);
+        return true;
+      }
+    } catch (_) {
+      // continue
+    }
+  }
+  return false;
+}
+
+// consent managers often live in an iframe, so child frames are tried after the page itself
+async function dismissPlaywrightCookies(page, logger) {
+  if (await dismissCookiesInFrame(page.mainFrame(), logger, '')) return true;
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame() || frame.isDetached()) continue;
+    if (await dismissCookiesInFrame(frame, logger, ` in frame ${frame.url()}`)) return true;
+  }
+  return false;
+}
+
+// Context options for HAR/video; both are flushed to disk when the context closes.
+function captureContextOptions(capture = {}, artifactsDir) {
+  const opts = {};
+  if (!artifactsDir) return opts;
+  if (capture.har) opts.recordHar = { path: path.join(artifactsDir, 'network.har') };
+  if (capture.video) opts.recordVideo = { dir: path.join(artifactsDir, 'video') };
+  return opts;
+}
+
+async function startTracing(context, capture = {}) {
+  if (!capture.trace) return null;
+  await context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+  return {
+    startChunk: (title) => context.tracing.startChunk({ title }),
+    stopChunk: (file) => context.tracing.stopChunk({ path: file })
+  };
+}
+
+// popups usually open while the click resolves; a short grace catches slower window.open calls
+const POPUP_GRACE_MS = 300;
+
+// Tabs are tracked per driver: the first page plus every popup/new tab opened from a tracked page.
+// Ids (t1, t2, ...) are stable for a tab's lifetime; every action targets the active tab.
+function wrapPlaywrightPage(initialPage, { name = 'playwright', onClose, openPage, tracing = null, capture = {} } = {}) {
+  const tabs = [];
+  let nextTab = 1;
+  let active = null;
+  // downloads are buffered from every tab, so one started by an earlier click is not missed
+  const downloads = [];
+  const downloadWaiters = [];
+  // routing is installed once a rule exists, on the browser context rather than per tab so a popup's first
+  // request goes through it too; responses are buffered like downloads
+  const network = { rules: [], routed: false, responses: [], waiters: [], blocked: [] };
+  const handleRoute = (route) => {
+    const request = route.request();
+    const rule = pickRule(network.rules, request.url(), request.resourceType(), request.isNavigationRequest());
+    if (!rule) return route.continue().catch(() => { });
+    if (rule.kind === 'mock') return route.fulfill(rule.response).catch(() => { });
+    if (rule.kind === 'fence' && !request.frame().parentFrame()) {
+      network.blocked.push(rule.check(request.url()));
+    }
+    return route.abort('blockedbyclient').catch(() => { });
+  };
+  const ensureRouting = async () => {
+    if (!network.rules.length || network.routed) return;
+    network.routed = true;
+    await initialPage.context().route('**/*', handleRoute);
+  };
+  const onResponse = (response) => {
+    const entry = { at: Date.now(), response };
+    const waiter = network.waiters.find((w) => w.match(response));
+    if (waiter) {
+      network.waiters.splice(network.waiters.indexOf(waiter), 1);
+      waiter.resolve(response);
+      return;
+    }
+    network.responses.push(entry);
+    if (network.responses.length > MAX_BUFFERED_RESPONSES) network.responses.shift();
+  };
+  const addRule = async (rule) => {
+    network.rules.push(rule);
+    await ensureRouting();
+    return network.rules.length;
+  };
+
+  const track = (page, opener = null) => {
+    const existing = tabs.find((t) => t.page === page);
+    if (existing) return existing;
+    const tab = {
+      id: `t${nextTab++}`,
+      page,
+      opener,
+      refState: { nextSeq: 1, frames: new Map(), frameIds: new WeakMap(), nextFrame: 1 }
+    };
+    tabs.push(tab);
+    page.on('popup', (popup) => track(popup, tab.id));
+    page.on('response', onResponse);
+    page.on('download', (download) => {
+      const waiter = downloadWaiters.shift();
+      if (waiter) waiter(download);
+      else downloads.push(download);
+    });
+    page.on('close', () => {
+      const idx = tabs.indexOf(tab);
+      if (idx !== -1) tabs.splice(idx, 1);
+      if (active === tab) active = tabs.find((t) => t.id === tab.opener) || tabs[tabs.length - 1] || null;
+    });
+    return tab;
+  };
+  active = track(initialPage);
+
+  const current = () => {
+    if (!active) throw new Error('no_open_tab');
+    return active;
+  };
+  const pg = () => current().page;
+  const rs = () => current().refState;
+  const scopeFor = (frameKey) => findFrame(pg(), rs(), frameKey);
+
+  const tabInfo = async (tab) => ({
+    id: tab.id,
+    index: tabs.indexOf(tab),
+    url: tab.page.url(),
+    title: await tab.page.title().catch(() => ''),
+    active: tab === active,
+    opener: tab.opener || undefined
+  });
+
+  // tab key: id (t2), 0-based index, or a substring of the tab's URL/title
+  const findTab = async (key) => {
+    if (key === undefined || key === null || key === '') return current();
+    const target = String(key);
+    const byId = tabs.find((t) => t.id === target);
+    if (byId) return byId;
+    if (/^\d+$/.test(target) && tabs[Number(target)]) return tabs[Number(target)];
+    for (const tab of tabs) {
+      const title = await tab.page.title().catch(() => '');
+      if (tab.page.url().includes(target) || (title && title.includes(target))) return tab;
+    }
+    throw new Error('tab_not_found');
+  };
+
+  const activate = async (tab) => {
+    active = tab;
+    await tab.page.bringToFront().catch(() => { });
+    return tabInfo(tab);
+  };
+
+  const driver = {
+    name,
+    get page() {
+      return pg();
+    },
+    tracing,
+    capture,
+    async url() {
+      return pg().url();
+    },
+    async title() {
+      return pg().title().catch(() => '');
+    },
+    async viewportSize() {
+      return pg().viewportSize() || DEFAULT_VIEWPORT;
+    },
+    async deviceScaleFactor() {
+      return pg().evaluate(() => window.devicePixelRatio).catch(() => undefined);
+    },
+    async navigate(url, { timeoutMs } = {}) {
+      rs().frames.clear();
+      const page = pg();
+      const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+      return { status: response?.status() ?? null, url: page.url() };
+    },
+    // popup reports a tab opened by this click; followPopup makes it the active tab
+    async click(key, { timeoutMs = 8000, frame, followPopup = false } = {}) {
+      const tab = current();
+      const locator = await resolveLocator(tab.page, key, tab.refState, frame);
+      const known = new Set(tabs);
+      const popupEvent = tab.page.waitForEvent('popup', { timeout: timeoutMs }).catch(() => null);
+      await locator.click({ timeout: timeoutMs });
+      const popupPage =
+        tabs.find((t) => !known.has(t) && t.opener === tab.id)?.page ||
+        (await Promise.race([popupEvent, tab.page.waitForTimeout(POPUP_GRACE_MS).then(() => null, () => null)]));
+      if (!popupPage) return { popup: null };
+      const popupTab = track(popupPage, tab.id);
+      if (!followPopup) return { popup: { ...(await tabInfo(popupTab)), followed: false } };
+      await popupPage.waitForLoadState('domcontentloaded', { timeout: timeoutMs }).catch(() => { });
+      return { popup: { ...(await activate(popupTab)), followed: true } };
+    },
+    async fill(key, text, { timeoutMs = 8000, frame } = {}) {
+      const locator = await resolveLocator(pg(), key, rs(), frame);
+      await locator.fill(text ?? '', { timeout: timeoutMs });
+    },
+    // values match an option's value or its visible label; resolves to the selected values
+    async selectOption(key, values, { timeoutMs = 8000, frame } = {}) {
+      const locator = await resolveLocator(pg(), key, rs(), frame);
+      return locator.selectOption(values, { timeout: timeoutMs });
+    },
+    async setChecked(key, checked, { timeoutMs = 8000, frame } = {}) {
+      const locator = await resolveLocator(pg(), key, rs(), frame);
+      await locator.setChecked(Boolean(checked), { timeout: timeoutMs });
+    },
+    // scroll an element (id) or a frame's document; plain viewport scrolling stays on mouse.wheel
+    async scroll({ deltaY = 0, id, frame } = {}) {
+      if (id) {
+        const locator = await resolveLocator(pg(), id, rs(), frame);
+        await locator.evaluate((el, dy) => el.scrollBy(0, dy), deltaY);
+        return;
+      }
+      await scopeFor(frame).evaluate((dy) => window.scrollBy(0, dy), deltaY);
+    },
+    async text({ id, selector, frame } = {}) {
+      if (selector) return scopeFor(frame).locator(selector).first().innerText();
+      if (id) return (await resolveLocator(pg(), id, rs(), frame)).innerText();
+      return scopeFor(frame).locator('body').innerText();
+    },
+    async tables({ id, selector, frame } = {}) {
+      if (id && !selector) return (await resolveLocator(pg(), id, rs(), frame)).evaluate(readTables);
+      return scopeFor(frame).evaluate(readTables, selector || null);
+    },
+    async isVisible({ id, selector, frame } = {}) {
+      try {
+        if (selector) return await scopeFor(frame).locator(selector).first().isVisible();
+        return await (await resolveLocator(pg(), id, rs(), frame)).isVisible();
+      } catch (_) {
+        return false;
+      }
+    },
+    // a file input gets the file directly; anything else is clicked and the file chooser answered
+    async upload(key, filePath, { timeoutMs = 8000, frame } = {}) {
+      const tab = current();
+      const locator = await resolveLocator(tab.page, key, tab.refState, frame);
+      const isFileInput = await locator
+        .evaluate((el) => el.tagName === 'INPUT' && el.type === 'file')
+        .catch(() => false);
+      if (isFileInput) {
+        await locator.setInputFiles(filePath, { timeout: timeoutMs });
+        return;
+      }
+      const [chooser] = await Promise.all([
+        tab.page.waitForEvent('filechooser', { timeout: timeoutMs }),
+        locator.click({ timeout: timeoutMs })
+      ]);
+      await chooser.setFiles(filePath);
+    },
+    // resolves to { url, suggestedFilename, saveAs(path) } for the oldest download not yet taken
+    async waitForDownload({ timeoutMs = 30000 } = {}) {
+      const download =
+        downloads.shift() ||
+        (await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            downloadWaiters.splice(downloadWaiters.indexOf(onDownload), 1);
+            reject(new Error('download_timeout'));
+          }, timeoutMs);
+          const onDownload = (d) => {
+            clearTimeout(timer);
+            resolve(d);
+          };
+          downloadWaiters.push(onDownload);
+        }));
+      return {
+        url: download.url(),
+        suggestedFilename: download.suggestedFilename(),
+        async saveAs(file) {
+          await download.saveAs(file);
+          const failure = await download.failure();
+          if (failure) throw new Error(`download_failed:${failure}`);
+        }
+      };
+    },
+    async blockRequests({ resourceTypes = [], urlPatterns = [] } = {}) {
+      return { rules: await addRule(createBlockRule({ resourceTypes, urlPatterns })) };
+    },
+    async mockResponse(options = {}) {
+      return { rules: await addRule(createMockRule(options)) };
+    },
+    async fenceRequests(check) {
+      return { rules: await addRule(createFenceRule(check)) };
+    },
+    blockedNavigations() {
+      return network.blocked.splice(0);
+    },
+    // matches a buffered response received at or after `since` (ms epoch) before waiting for a new one
+    async waitForResponse({ urlPattern, status, timeoutMs = 15000, since = 0 } = {}) {
+      const matcher = urlMatcher(urlPattern);
+      const match = (r) => matcher(r.url()) && (status === undefined || status === null || r.status() === Number(status));
+      const idx = network.responses.findIndex((e) => e.at >= since && match(e.response));
+      const response =
+        idx !== -1
+          ? network.responses.splice(idx, 1)[0].response
+          : await new Promise((resolve, reject) => {
+            const waiter = { match, resolve };
+            const timer = setTimeout(() => {
+              network.waiters.splice(network.waiters.indexOf(waiter), 1);
+              reject(new Error('response_timeout'));
+            }, timeoutMs);
+            waiter.resolve = (r) => {
+              clearTimeout(timer);
+              resolve(r);
+            };
+            network.waiters.push(waiter);
+          });
+      return {
+        url: response.url(),
+        status: response.status(),
+        ok: response.ok(),
+        method: response.request().method(),
+        headers: await response.allHeaders().catch(() => response.headers()),
+        body: await response.text().catch(() => null)
+      };
+    },
+    async tabs() {
+      return Promise.all(tabs.map(tabInfo));
+    },
+    async newTab(url, { timeoutMs } = {}) {
+      if (!openPage) throw new Error('new_tab_unsupported');
+      const page = await openPage();
+      const tab = track(page, active?.id || null);
+      let status = null;
+      if (url) {
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+        status = response?.status() ?? null;
+      }
+      return { ...(await activate(tab)), status };
+    },
+    async switchTab(key) {
+      return activate(await findTab(key));
+    },
+    async closeTab(key) {
+      const tab = await findTab(key);
+      if (tabs.length === 1) throw new Error('cannot_close_last_tab');
+      await tab.page.close();
+      return { closed: tab.id, active: active ? await activate(active) : null };
+    },
+    mouse: {
+      move: (x, y, opts) => pg().mouse.move(x, y, opts),
+      down: (opts) => pg().mouse.down(opts),
+      up: (opts) => pg().mouse.up(opts),
+      click: (x, y, opts) => pg().mouse.click(x, y, opts),
+      wheel: (dx, dy) => pg().mouse.wheel(dx, dy)
+    },
+    keyboard: {
+      down: (key) => pg().keyboard.down(key),
+      up: (key) => pg().keyboard.up(key),
+      press: (key) => pg().keyboard.press(key)
+    },
+    wait: (ms) => pg().waitForTimeout(ms),
+    screenshot: ({ path: file, fullPage = true } = {}) => pg().screenshot({ path: file, fullPage }),
+    async snapshot() {
+      const page = pg();
+      const interactables = await collectInteractables(page, rs());
+      return { interactables, frames: listFrames(page, rs()) };
+    },
+    dismissCookies: (logger) => dismissPlaywrightCookies(pg(), logger),
+    async close() {
+      // an attached (cdp) context outlives the run, so its route is taken down first
+      if (network.routed) await initialPage.context().unroute('**/*', handleRoute).catch(() => { });
+      if (onClose) await onClose(tabs.map((t) => t.page));
+    }
+  };
+  return driver;
+}
+
+// storageState (path or object) restores cookies/localStorage, e.g. from a named identity; viewport { width, height }
+// sizes every tab of the run's context
+export async function createPlaywrightDriver({ headless = false, devtools = false, capture = {}, artifactsDir, storageState, viewport } = {}) {
+  const browser = await chromium.launch({ headless, devtools });
+  const context = await browser.newContext({ ...captureContextOptions(capture, artifactsDir), storageState, ...(viewport && { viewport }) });
+  const tracing = await startTracing(context, capture);
+  const page = await context.newPage();
+  const driver = wrapPlaywrightPage(page, {
+    tracing,
+    openPage: () => context.newPage(),
+    capture: { trace: Boolean(tracing), har: Boolean(capture.har && artifactsDir), video: Boolean(capture.video && artifactsDir) },
+    onClose: async () => {
+      if (tracing) await context.tracing.stop().catch(() => { });
+      // closing the context first writes network.har and the video files
+      await context.close().catch(() => { });
+      await browser.close();
+    }
+  });
+  // assigned rather than spread so the `page` getter keeps following the active tab
+  return Object.assign(driver, { browser, context, storageState: () => context.storageState() });
+}
+
+// ---------------------------------------------------------------------------
+// Playwright over CDP (attach to a running Chrome started with --remote-debugging-port)
+
+function cdpEndpoint(target) {
+  if (!target) return '';
+  if (/^(https?|wss?):\/\//i.test(target)) return String(target).replace(/\/$/, '');
+  if (/^\d+$/.test(String(target))) return `http://127.0.0.1:${target}`;
+  return `http://${target}`;
+}
+
+export async function isCdpReachable(target) {
+  if (!target) return false;
+  let url;
+  try {
+    url = cdpEndpoint(target);
+    if (/^wss?:/i.test(url)) return true;
+    if (!url.endsWith('/json/version')) url = `${url}/json/version`;
+  } catch {
+    return false;
+  }
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 1500);
+    const res = await fetch(url, { signal: controller.signal });
+    clearTimeout(timeout);
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+// HAR/video need a fresh context, so an attached browser only supports tracing.
+export async function createCdpDriver({ cdp = '9222', capture = {} } = {}) {
+  const endpoint = cdpEndpoint(cdp);
+  if (!(await isCdpReachable(endpoint))) {
+    throw new Error(`cdp_unreachable:${endpoint}`);
+  }
+  const browser = await chromium.connectOverCDP(endpoint);
+  // reuse the user's default context (cookies/profile) but work in our own tab
+  const context = browser.contexts()[0] || (await browser.newContext());
+  const tracing = await startTracing(context, capture);
+  const page = await context.newPage();
+  const driver = wrapPlaywrightPage(page, {
+    name: 'cdp',
+    tracing,
+    openPage: () => context.newPage(),
+    capture: { trace: Boolean(tracing), har: false, video: false },
+    // only the tabs this run opened are closed; the user's own tabs stay
+    onClose: async (pages) => {
+      if (tracing) await context.tracing.stop().catch(() => { });
+      for (const p of pages) await p.close().catch(() => { });
+      await browser.close();
+    }
+  });
+  return Object.assign(driver, { browser, context });
+}
+
+// ---------------------------------------------------------------------------
+// agent-browser
+
+function normalizeText(v) {
+  return (v || '').toString().trim().toLowerCase();
+}
+
+function pickRefByKeywords(refs, keywords) {
+  const entries = Object.entries(refs || {});
+  for (const [ref, meta] of entries) {
+    const name = normalizeText(meta?.name || meta?.text || '');
+    if (!name) continue;
+    const tokens = name.split(/[^a-z0-9\u00C0-\u017F]+/i).filter(Boolean);
+    const match = keywords.some((k) => {
+      if (k.length <= 3) return tokens.includes(k);
+      return name.includes(k);
+    });
+    if (match) return ref;
+  }
+  return null;
+}
+
+function refsToInteractables(refs) {
+  return Object.entries(refs || {}).map(([ref, meta]) => ({
+    id: `@${ref}`,
+    role: meta?.role || '',
+    type: meta?.role || '',
+    label: meta?.name || meta?.text || '',
+    locatorHint: `@${ref}`
+  }));
+}
+
+export function createAgentBrowserDriver({
+  session = `run-${Date.now()}`,
+  cdp = '',
+  headed = false,
+  executablePath = null,
+  profilePath = '',
+  browserArgs = null,
+  closeOnExit = true,
+  viewport = null,
+  verbose = false
+} = {}) {
+  const baseArgs = () => {
+    const args = [];
+    if (cdp) {
+      args.push('--cdp', String(cdp));
+    } else {
+      args.push('--session', session);
+      if (headed) args.push('--headed');
+      if (executablePath) args.push('--executable-path', executablePath);
+      if (profilePath) args.push('--profile', profilePath);
+      if (browserArgs) args.push('--args', browserArgs);
+    }
+    return args;
+  };
+  const run = (args, opts = {}) => runAgentBrowser([...baseArgs(), ...args], { verbose, ...opts });
+  let lastRefs = {};
+  // sized once the first page is open; an attached Chrome (cdp) keeps the user's window size
+  let viewportPending = Boolean(viewport && !cdp);
+
+  const readSnapshot = () => {
+    const data = run(['snapshot', '-i', '-c'], { json: true, timeoutMs: 120000 });
+    lastRefs = data?.data?.refs || {};
+    return data?.data || {};
+  };
+
+  // planner ids are either @refs from the last snapshot or free-form labels
+  const refFor = (key) => {
+    const target = String(key || '').trim();
+    if (!target) throw new Error('selector_missing_key');
+    if (target.startsWith('@')) return target;
+    const match = findInteractableByLabel(refsToInteractables(lastRefs), target);
+    return match ? match.id : null;
+  };
+
+  const currentUrl = async () => run(['get', 'url'], { timeoutMs: 10000 }).trim();
+
+  // `tab` lists tabs by position, so ids here are positional (t1 = first tab) and shift when a tab closes
+  const listTabs = () => {
+    const data = run(['tab'], { json: true, timeoutMs: 10000 });
+    const list = data?.data?.tabs || data?.tabs || [];
+    return list.map((t, i) => ({
+      id: `t${i + 1}`,
+      index: Number.isFinite(t?.index) ? t.index : i,
+      url: t?.url || '',
+      title: t?.title || '',
+      active: Boolean(t?.active)
+    }));
+  };
+  const findTab = (key) => {
+    const list = listTabs();
+    if (key === undefined || key === null || key === '') return list.find((t) => t.active) || list[0];
+    const target = String(key);
+    const match =
+      list.find((t) => t.id === target) ||
+      (/^\d+$/.test(target) ? list.find((t) => t.index === Number(target)) : null) ||
+      list.find((t) => t.url.includes(target) || (t.title && t.title.includes(target)));
+    if (!match) throw new Error('tab_not_found');
+    return match;
+  };
+  const activeTab = () => listTabs().find((t) => t.active) || null;
+  // popup detection must never fail a click, so tab listing errors count as "no tab info"
+  const tryListTabs = () => {
+    try {
+      return listTabs();
+    } catch (_) {
+      return null;
+    }
+  };
+
+  // the CLI's snapshot lists no frames and its `frame` command takes a CSS selector, so the f2 / name / URL part
+  // scheme the other drivers share cannot be honoured here; a frame-scoped step fails instead of acting elsewhere
+  const inFrame = (frame, fn) => {
+    if (frame) throw new Error('frame_unsupported');
+    return fn();
+  };
+
+  return {
+    name: 'agent-browser',
+    url: currentUrl,
+    async title() {
+      try {
+        return run(['get', 'title'], { timeoutMs: 10000 }).trim();
+      } catch (_) {
+        return '';
+      }
+    },
+    async viewportSize() {
+      try {
+        const out = run(['eval', 'JSON.stringify({ width: innerWidth, height: innerHeight })'], { timeoutMs: 10000 });
+        const parsed = JSON.parse(String(out).replace(/^"|"$/g, '').replace(/\\"/g, '"'));
+        if (Number.isFinite(parsed?.width) && Number.isFinite(parsed?.height)) return parsed;
+      } catch (_) {
+        // fall back to default
+      }
+      return DEFAULT_VIEWPORT;
+    },
+    async deviceScaleFactor() {
+      return undefined;
+    },
+    async navigate(url) {
+      run(['open', url]);
+      if (viewportPending) {
+        viewportPending = false;
+        run(['set', 'viewport', String(viewport.width), String(viewport.height)], { timeoutMs: 10000 });
+      }
+      run(['wait', '1200'], { timeoutMs: 15000 });
+      return { status: null, url: await currentUrl() };
+    },
+    async click(key, { frame, followPopup = false } = {}) {
+      const ref = refFor(key);
+      const before = tryListTabs();
+      inFrame(frame, () => {
+        if (ref) run(['click', ref]);
+        else run(['find', 'text', String(key), 'click']);
+      });
+      const after = before && tryListTabs();
+      if (!after || after.length <= before.length) return { popup: null };
+      const opened = { ...after[after.length - 1], opener: before.find((t) => t.active)?.id };
+      if (!followPopup) return { popup: { ...opened, followed: false } };
+      run(['tab', `${opened.index}`]);
+      return { popup: { ...opened, active: true, followed: true } };
+    },
+    async fill(key, text, { frame } = {}) {
+      const ref = refFor(key);
+      // the value may be a resolved secret: send it through `batch` on stdin so it never shows up in argv (ps)
+      const command = ref ? ['fill', ref, text ?? ''] : ['find', 'label', String(key), 'fill', text ?? ''];
+      inFrame(frame, () => run(['batch', '--bail'], { input: JSON.stringify([command]) }));
+    },
+    async selectOption(key, values, { frame } = {}) {
+      const ref = refFor(key);
+      if (!ref) throw new Error('selector_not_found');
+      const list = Array.isArray(values) ? values.map(String) : [String(values)];
+      inFrame(frame, () => run(['select', ref, ...list]));
+      return list;
+    },
+    async setChecked(key, checked, { frame } = {}) {
+      const ref = refFor(key);
+      if (!ref) throw new Error('selector_not_found');
+      inFrame(frame, () => run([checked ? 'check' : 'uncheck', ref]));
+    },
+    async scroll({ deltaY = 0, id, frame } = {}) {
+      // the CLI scrolls the page only
+      if (id) throw new Error('scroll_element_unsupported');
+      const amount = Math.round(Math.abs(deltaY));
+      inFrame(frame, () => run(['scroll', deltaY < 0 ? 'up' : 'down', `${amount}`]));
+    },
+    async text({ id, selector } = {}) {
+      let target = selector || 'body';
+      if (!selector && id) {
+        target = refFor(id);
+        if (!target) throw new Error('selector_not_found');
+      }
+      return run(['get', 'text', target], { timeoutMs: 20000 });
+    },
+    async tables({ id, selector } = {}) {
+      // refs cannot be resolved inside eval, so tables are scoped by CSS selector only
+      if (id && !selector) throw new Error('extract_table_selector_required');
+      const script = `JSON.stringify((${readTables.toString()})(${JSON.stringify(selector || null)}))`;
+      const out = run(['eval', script], { timeoutMs: 20000 });
+      const trimmed = String(out).trim();
+      const parsed = JSON.parse(trimmed.startsWith('"') ? JSON.parse(trimmed) : trimmed);
+      return Array.isArray(parsed) ? parsed : [];
+    },
+    async isVisible({ id, selector } = {}) {
+      const target = selector || refFor(id);
+      if (!target) return false;
+      try {
+        return /true/i.test(run(['is', 'visible', target], { timeoutMs: 10000 }));
+      } catch (_) {
+        return false;
+      }
+    },
+    mouse: {
+      async move(x, y) {
+        run(['mouse', 'move', `${x}`, `${y}`]);
+      },
+      async down({ button = 'left' } = {}) {
+        run(['mouse', 'down', button]);
+      },
+      async up({ button = 'left' } = {}) {
+        run(['mouse', 'up', button]);
+      },
+      async click(x, y, { button = 'left' } = {}) {
+        run(['mouse', 'move', `${x}`, `${y}`]);
+        run(['mouse', 'down', button]);
+        run(['mouse', 'up', button]);
+      },
+      async wheel(_dx, dy) {
+        run(['mouse', 'wheel', `${dy}`]);
+      }
+    },
+    keyboard: {
+      async down(key) {
+        run(['keydown', key]);
+      },
+      async up(key) {
+        run(['keyup', key]);
+      },
+      async press(key) {
+        run(['press', key]);
+      }
+    },
+    async wait(ms) {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+    },
+    async screenshot({ path: file, fullPage = true } = {}) {
+      const target = file || path.join(os.tmpdir(), `loopert-shot-${process.pid}-${Date.now()}.png`);
+      const args = ['screenshot'];
+      if (fullPage) args.push('--full');
+      args.push(target);
+      run(args, { timeoutMs: 20000 });
+      const buf = fs.readFileSync(target);
+      if (!file) fs.rmSync(target, { force: true });
+      return buf;
+    },
+    async snapshot() {
+      const data = readSnapshot();
+      return { interactables: refsToInteractables(data.refs), text: data.snapshot || '' };
+    },
+    async dismissCookies(logger) {
+      try {
+        readSnapshot();
+      } catch (_) {
+        return false;
+      }
+      const hasHints = Boolean(pickRefByKeywords(lastRefs, POPUP_HINTS));
+      const ref = hasHints ? pickRefByKeywords(lastRefs, POPUP_REJECT) || pickRefByKeywords(lastRefs, POPUP_ACCEPT) : null;
+      if (!ref) return false;
+      try {
+        run(['click', `@${ref}`]);
+        if (logger) logger(`cookie dismiss: clicked @${ref} "${lastRefs[ref]?.name || ''}"`);
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+    async upload(key, filePath, { frame } = {}) {
+      const ref = refFor(key);
+      if (!ref) throw new Error('selector_not_found');
+      inFrame(frame, () => run(['upload', ref, filePath]));
+    },
+    async waitForDownload() {
+      throw new Error('wait_for_download_unsupported');
+    },
+    // request routing needs Playwright; the CLI has no equivalent we can drive per rule
+    async blockRequests() {
+      throw new Error('block_requests_unsupported');
+    },
+    async mockResponse() {
+      throw new Error('mock_response_unsupported');
+    },
+    async waitForResponse() {
+      throw new Error('wait_for_response_unsupported');
+    },
+    async tabs() {
+      return listTabs();
+    },
+    async newTab(url) {
+      run(url ? ['tab', 'new', url] : ['tab', 'new']);
+      return { ...activeTab(), status: null };
+    },
+    async switchTab(key) {
+      const tab = findTab(key);
+      run(['tab', `${tab.index}`]);
+      return { ...tab, active: true };
+    },
+    async closeTab(key) {
+      const tab = findTab(key);
+      if (listTabs().length === 1) throw new Error('cannot_close_last_tab');
+      run(['tab', 'close', `${tab.index}`]);
+      return { closed: tab.id, active: activeTab() };
+    },
+    async close() {
+      if (!closeOnExit || cdp) return;
+      try {
+        run(['close'], { timeoutMs: 15000, retryOnDaemon: false });
+      } catch (_) {
+        // ignore
+      }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// In-memory fake for unit tests: no browser, every call is recorded in `calls`.
+// `pages` maps url -> { title, interactables (hidden: true = not visible), text?, texts?: { [id|selector]: string }, tables?,
+// popups?: { [id]: url }, downloads?: { [id]: { filename, content } }, responses?: [{ url, status, body, type? }] };
+// clicks/fills on unknown ids throw selector_not_found.
+
+export function createFakeDriver({ pages = {}, viewport = DEFAULT_VIEWPORT, startUrl = 'about:blank', storageState } = {}) {
+  const calls = [];
+  const values = {};
+  const uploads = {};
+  const pendingDownloads = [];
+  const rules = [];
+  const responses = [];
+  const blocked = [];
+  // a page's `responses` fire on navigate, passing through the same mock/block rules as Playwright
+  const emitResponses = () => {
+    for (const res of current().responses || []) {
+      const rule = pickRule(rules, res.url, res.type || 'fetch');
+      if (rule && rule.kind !== 'mock') continue;
+      const mocked = rule?.kind === 'mock' ? rule.response : null;
+      responses.push({
+        at: Date.now(),
+        url: res.url,
+        status: mocked ? mocked.status : res.status ?? 200,
+        method: res.method || 'GET',
+        headers: mocked ? { 'content-type': mocked.contentType, ...mocked.headers } : res.headers || {},
+        body: mocked ? mocked.body : res.body ?? ''
+      });
+    }
+  };
+  const tabs = [{ id: 't1', url: startUrl, opener: null }];
+  let active = tabs[0];
+  let nextTab = 2;
+  const record = (op, ...args) => calls.push({ op, args });
+  const current = () => pages[active.url] || { title: '', interactables: [] };
+  const tabInfo = (tab) => ({
+    id: tab.id,
+    index: tabs.indexOf(tab),
+    url: tab.url,
+    title: pages[tab.url]?.title || '',
+    active: tab === active,
+    opener: tab.opener || undefined
+  });
+  const findTab = (key) => {
+    if (key === undefined || key === null || key === '') return active;
+    const target = String(key);
+    const match =
+      tabs.find((t) => t.id === target) ||
+      (/^\d+$/.test(target) ? tabs[Number(target)] : null) ||
+      tabs.find((t) => t.url.includes(target));
+    if (!match) throw new Error('tab_not_found');
+    return match;
+  };
+  const assertKnown = (key) => {
+    const known = current().interactables || [];
+    if (!known.some((el) => el.id === key || el.label === key)) throw new Error('selector_not_found');
+  };
+
+  return {
+    name: 'fake',
+    calls,
+    values,
+    uploads,
+    async storageState() {
+      const state = typeof storageState === 'string' ? JSON.parse(fs.readFileSync(storageState, 'utf8')) : storageState;
+      return state || { cookies: [], origins: [] };
+    },
+    async url() {
+      return active.url;
+    },
+    async title() {
+      return current().title || '';
+    },
+    async viewportSize() {
+      return viewport;
+    },
+    async deviceScaleFactor() {
+      return 1;
+    },
+    async navigate(url) {
+      record('navigate', url);
+      const fence = rules.find((rule) => rule.kind === 'fence' && rule.matches(url, 'document', true));
+      if (fence) {
+        blocked.push(fence.check(url));
+        throw new Error(`net::ERR_BLOCKED_BY_CLIENT at ${url}`);
+      }
+      active.url = url;
+      emitResponses();
+      return { status: pages[url] ? 200 : 404, url };
+    },
+    async click(key, { frame, followPopup = false } = {}) {
+      record('click', key, ...(frame ? [frame] : []));
+      assertKnown(key);
+      const download = current().downloads?.[key];
+      if (download) pendingDownloads.push(download);
+      const popupUrl = current().popups?.[key];
+      if (!popupUrl) return { popup: null };
+      const tab = { id: `t${nextTab++}`, url: popupUrl, opener: active.id };
+      tabs.push(tab);
+      if (followPopup) active = tab;
+      return { popup: { ...tabInfo(tab), followed: followPopup } };
+    },
+    async fill(key, text, { frame } = {}) {
+      record('fill', key, text, ...(frame ? [frame] : []));
+      assertKnown(key);
+      values[key] = text;
+    },
+    async selectOption(key, selected, { frame } = {}) {
+      record('selectOption', key, selected, ...(frame ? [frame] : []));
+      assertKnown(key);
+      values[key] = selected;
+      return Array.isArray(selected) ? selected : [selected];
+    },
+    async setChecked(key, checked, { frame } = {}) {
+      record('setChecked', key, checked, ...(frame ? [frame] : []));
+      assertKnown(key);
+      values[key] = Boolean(checked);
+    },
+    async scroll({ deltaY = 0, id, frame } = {}) {
+      record('scroll', deltaY, id, frame);
+      if (id) assertKnown(id);
+    },
+    async text({ id, selector } = {}) {
+      record('text', id || selector || null);
+      const key = selector || id;
+      if (!key) return current().text || '';
+      const texts = current().texts || {};
+      if (!(key in texts)) throw new Error('selector_not_found');
+      return texts[key];
+    },
+    async tables({ id, selector } = {}) {
+      record('tables', id || selector || null);
+      return current().tables || [];
+    },
+    async isVisible({ id, selector } = {}) {
+      const key = selector || id;
+      const match = (current().interactables || []).find(
+        (el) => el.id === key || el.label === key || el.locatorHint === key
+      );
+      return Boolean(match && !match.hidden);
+    },
+    mouse: {
+      move: async (x, y) => record('mouse.move', x, y),
+      down: async (opts) => record('mouse.down', opts),
+      up: async (opts) => record('mouse.up', opts),
+      click: async (x, y, opts) => record('mouse.click', x, y, opts),
+      wheel: async (dx, dy) => record('mouse.wheel', dx, dy)
+    },
+    keyboard: {
+      down: async (key) => record('keyboard.down', key),
+      up: async (key) => record('keyboard.up', key),
+      press: async (key) => record('keyboard.press', key)
+    },
+    async wait(ms) {
+      record('wait', ms);
+    },
+    async screenshot({ path: file } = {}) {
+      record('screenshot', file);
+      const buf = Buffer.from('');
+      if (file) fs.writeFileSync(file, buf);
+      return buf;
+    },
+    async snapshot() {
+      return { interactables: current().interactables || [], frames: current().frames || [] };
+    },
+    async dismissCookies() {
+      return false;
+    },
+    async upload(key, filePath, { frame } = {}) {
+      record('upload', key, filePath, ...(frame ? [frame] : []));
+      assertKnown(key);
+      uploads[key] = filePath;
+    },
+    async blockRequests({ resourceTypes = [], urlPatterns = [] } = {}) {
+      record('blockRequests', resourceTypes, urlPatterns);
+      rules.push(createBlockRule({ resourceTypes, urlPatterns }));
+      return { rules: rules.length };
+    },
+    async mockResponse(options = {}) {
+      record('mockResponse', options.urlPattern);
+      rules.push(createMockRule(options));
+      return { rules: rules.length };
+    },
+    async fenceRequests(check) {
+      record('fenceRequests');
+      rules.push(createFenceRule(check));
+      return { rules: rules.length };
+    },
+    blockedNavigations() {
+      return blocked.splice(0);
+    },
+    async waitForResponse({ urlPattern, status, since = 0 } = {}) {
+      record('waitForResponse', urlPattern);
+      const matcher = urlMatcher(urlPattern);
+      const idx = responses.findIndex(
+        (r) => r.at >= since && matcher(r.url) && (status === undefined || status === null || r.status === Number(status))
+      );
+      if (idx === -1) throw new Error('response_timeout');
+      const [res] = responses.splice(idx, 1);
+      const { at: _at, ...rest } = res;
+      return { ...rest, ok: res.status >= 200 && res.status < 300 };
+    },
+    async waitForDownload() {
+      record('waitForDownload');
+      const download = pendingDownloads.shift();
+      if (!download) throw new Error('download_timeout');
+      return {
+        url: download.url || `${active.url}${download.filename}`,
+        suggestedFilename: download.filename,
+        async saveAs(file) {
+          fs.writeFileSync(file, download.content ?? '');
+        }
+      };
+    },
+    async tabs() {
+      return tabs.map(tabInfo);
+    },
+    async newTab(url) {
+      record('newTab', url);
+      const tab = { id: `t${nextTab++}`, url: url || 'about:blank', opener: active.id };
+      tabs.push(tab);
+      active = tab;
+      return { ...tabInfo(tab), status: url ? (pages[url] ? 200 : 404) : null };
+    },
+    async switchTab(key) {
+      record('switchTab', key);
+      active = findTab(key);
+      return tabInfo(active);
+    },
+    async closeTab(key) {
+      record('closeTab', key);
+      const tab = findTab(key);
+      if (tabs.length === 1) throw new Error('cannot_close_last_tab');
+      tabs.splice(tabs.indexOf(tab), 1);
+      if (active === tab) active = tabs.find((t) => t.id === tab.opener) || tabs[tabs.length - 1];
+      return { closed: tab.id, active: tabInfo(active) };
+    },
+    async close() {
+      record('close');
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+
+export async function createDriver(name = 'playwright', options = {}) {
+  switch (name) {
+    case 'playwright':
+      return createPlaywrightDriver(options);
+    case 'cdp':
+      return createCdpDriver(options);
+    case 'agent-browser':
+      return createAgentBrowserDriver(options);
+    case 'fake':
+      return createFakeDriver(options);
+    default:
+      throw new Error(`unknown_driver_${name}`);
+  }
+}
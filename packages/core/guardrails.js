@@ -0,0 +1,257 @@
+import { validateJson } from '@loopert/llm';
+
+// guardrails.yaml is validated, not trusted: a JSON Schema (checked with the planner's Ajv) rejects unknown keys,
+// wrong types and unknown tool names, so a typo such as `blocked_tool:` fails the run instead of quietly
+// disabling the block. Profiles may inherit with `extends: <profile>`: the child's keys win, object values
+// (shell_sandbox, file_quota, tool_rules, block_requests, capture) are merged one level deep, lists are replaced.
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+// Playwright's resourceType() values plus the `ads` / `trackers` host lists
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'eventsource',
+  'websocket', 'manifest', 'other', 'ads', 'trackers'
+];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const byteCount = { type: ['integer', 'null'], minimum: 0 };
+const milliseconds = { type: 'integer', minimum: 0 };
+// regex / glob constraints take a single pattern or a list
+const patterns = { type: ['string', 'array'], items: { type: 'string' } };
+
+export function buildGuardrailsSchema(toolNames = []) {
+  const toolList = { type: 'array', items: { type: 'string', enum: toolNames } };
+  const argRule = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      allow: patterns,
+      deny: patterns,
+      globs: patterns,
+      enum: { type: ['array', 'string', 'number', 'boolean'] },
+      min_length: { type: 'integer', minimum: 0 },
+      max_length: { type: 'integer', minimum: 0 },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      required: { type: 'boolean' }
+    }
+  };
+  const profile = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      extends: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      max_steps: { type: 'integer', minimum: 1 },
+      blocked_tools: toolList,
+      allow_password: { type: 'boolean' },
+      require_origin_confirmation: { type: 'boolean' },
+      allowed_domains: stringList,
+      denied_domains: stringList,
+      tool_rules: {
+        type: 'object',
+        propertyNames: { enum: toolNames },
+        additionalProperties: { type: 'object', additionalProperties: argRule }
+      },
+      shell_sandbox: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          mode: { enum: ['isolated', 'host'] },
+          network: { type: 'boolean' },
+          workspace: { enum: ['read_write', 'read_only'] },
+          timeout_ms: milliseconds,
+          max_cpu_seconds: { type: 'number', minimum: 0 },
+          max_memory_mb: { type: 'number', minimum: 0 },
+          max_output_bytes: { type: 'integer', minimum: 0 },
+          env: stringList,
+          require_isolation: { type: 'boolean' }
+        }
+      },
+      file_quota: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { read_bytes: byteCount, write_bytes: byteCount }
+      },
+      autonomy_level: { enum: ['assisted', 'semi_auto', 'auto'] },
+      approval_tools: toolList,
+      min_confidence: { type: 'number', minimum: 0, maximum: 1 },
+      max_risk_without_approval: { enum: RISK_LEVELS },
+      max_high_risk_steps: { type: ['integer', 'null'], minimum: 0 },
+      step_retry: { type: 'integer', minimum: 0 },
+      step_backoff_ms: milliseconds,
+      step_timeout_ms: milliseconds,
+      on_error: { enum: ['abort', 'continue', 'replan', 'ask_human'] },
+      follow_popups: { type: 'boolean' },
+      block_requests: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          resource_types: { type: 'array', items: { enum: RESOURCE_TYPES } },
+          url_patterns: stringList
+        }
+      },
+      capture: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { trace: { type: 'boolean' }, har: { type: 'boolean' }, video: { type: 'boolean' } }
+      }
+    }
+  };
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Loopert guardrails',
+    type: 'object',
+    additionalProperties: false,
+    required: ['profiles'],
+    properties: {
+      profiles: { type: 'object', minProperties: 1, additionalProperties: profile }
+    }
+  };
+}
+
+export function guardrailsError(code, details) {
+  const err = new Error(code);
+  err.details = details;
+  return err;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function closest(word, options = []) {
+  const ranked = options
+    .map((option) => ({ option, distance: editDistance(String(word), String(option)) }))
+    .sort((x, y) => x.distance - y.distance);
+  return ranked[0] && ranked[0].distance <= 2 ? ranked[0].option : null;
+}
+
+function schemaAt(schema, pointer) {
+  let node = schema;
+  for (const part of pointer.split('/').slice(1)) {
+    if (!node) return null;
+    node = node.properties?.[part] ?? (typeof node.additionalProperties === 'object' ? node.additionalProperties : null);
+  }
+  return node;
+}
+
+// Ajv errors -> [{ path, message }] with the offending key in the path and a spelling hint where one fits
+function formatSchemaErrors(errors = [], schema) {
+  const seen = new Set();
+  const out = [];
+  for (const e of errors) {
+    // propertyNames reports a bad name twice (the inner enum, then itself); keep the outer one
+    if (e.keyword === 'enum' && e.propertyName !== undefined) continue;
+    let entry;
+    if (e.keyword === 'additionalProperties') {
+      const key = e.params.additionalProperty;
+      const hint = closest(key, Object.keys(schemaAt(schema, e.instancePath)?.properties || {}));
+      entry = { path: `${e.instancePath}/${key}`, message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ''}` };
+    } else if (e.keyword === 'enum') {
+      entry = { path: e.instancePath || '/', message: `must be one of: ${e.params.allowedValues.join(', ')}` };
+    } else if (e.keyword === 'propertyNames') {
+      entry = { path: `${e.instancePath}/${e.params.propertyName}`, message: 'unknown tool' };
+    } else {
+      entry = { path: e.instancePath || '/', message: e.message };
+    }
+    const id = `${entry.path} ${entry.message}`;
+    if (!seen.has(id)) {
+      seen.add(id);
+      out.push(entry);
+    }
+  }
+  return out;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeProfile(parent, child) {
+  const merged = { ...parent };
+  for (const [key, value] of Object.entries(child)) {
+    if (key === 'extends') continue;
+    merged[key] = isPlainObject(value) && isPlainObject(parent[key]) ? { ...parent[key], ...value } : value;
+  }
+  return merged;
+}
+
+// regexes are only compiled when a step is checked, so a broken one would otherwise surface mid-run
+function checkRulePatterns(name, profile) {
+  const errors = [];
+  for (const [tool, args] of Object.entries(profile.tool_rules || {})) {
+    for (const [arg, rule] of Object.entries(args || {})) {
+      for (const key of ['allow', 'deny']) {
+        const list = rule?.[key] === undefined ? [] : [].concat(rule[key]);
+        list.forEach((re, i) => {
+          try {
+            new RegExp(re);
+          } catch (err) {
+            const at = Array.isArray(rule[key]) ? `/${i}` : '';
+            errors.push({ path: `/profiles/${name}/tool_rules/${tool}/${arg}/${key}${at}`, message: err.message });
+          }
+        });
+      }
+    }
+  }
+  return errors;
+}
+
+// Validates a parsed guardrails document and resolves `extends`. Returns { profiles, extends } where profiles
+// are the effective (merged) policies and extends[name] is the inheritance chain; throws guardrails_invalid
+// with details { source, errors: [{ path, message }] } on any problem.
+export function resolveGuardrailDoc(doc, { schema, source } = {}) {
+  const checked = validateJson(schema, doc);
+  if (checked.error) {
+    const errors = checked.error === 'schema_validation_failed' ? formatSchemaErrors(checked.details, schema) : [{ path: '/', message: checked.details }];
+    throw guardrailsError('guardrails_invalid', { source, errors });
+  }
+
+  const raw = doc.profiles;
+  const profiles = {};
+  const chains = {};
+  const errors = [];
+  const resolve = (name, trail) => {
+    if (profiles[name]) return profiles[name];
+    const parentName = raw[name].extends;
+    if (parentName === undefined) {
+      profiles[name] = mergeProfile({}, raw[name]);
+      chains[name] = [];
+      return profiles[name];
+    }
+    if (!Object.prototype.hasOwnProperty.call(raw, parentName)) {
+      const hint = closest(parentName, Object.keys(raw));
+      errors.push({ path: `/profiles/${name}/extends`, message: `unknown profile "${parentName}"${hint ? ` (did you mean "${hint}"?)` : ''}` });
+      return null;
+    }
+    if (trail.includes(parentName)) {
+      errors.push({ path: `/profiles/${name}/extends`, message: `inheritance cycle: ${[...trail, parentName].join(' -> ')}` });
+      return null;
+    }
+    const parent = resolve(parentName, [...trail, parentName]);
+    if (!parent) return null;
+    profiles[name] = mergeProfile(parent, raw[name]);
+    chains[name] = [parentName, ...chains[parentName]];
+    return profiles[name];
+  };
+  for (const name of Object.keys(raw)) {
+    if (!profiles[name]) resolve(name, [name]);
+  }
+  for (const [name, profile] of Object.entries(profiles)) errors.push(...checkRulePatterns(name, profile));
+  if (errors.length) {
+    // a cycle is reported once per member; keep one line per path
+    const unique = [...new Map(errors.map((e) => [`${e.path} ${e.message}`, e])).values()];
+    throw guardrailsError('guardrails_invalid', { source, errors: unique });
+  }
+  return { profiles, extends: chains };
+}
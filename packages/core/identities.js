@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Named identities: a Playwright storageState (cookies + localStorage) per name, loaded when the browser
+// context is created and saved back after the run, so scheduled runs stay logged in without a real profile.
+// Layout: <dir>/<name>/identity.json (metadata) and <dir>/<name>/storage-state.json.
+
+const STATE_FILE = 'storage-state.json';
+const META_FILE = 'identity.json';
+const NAME_RE = /^[\w.-]+$/;
+
+export function identitiesDir(dir) {
+  return path.resolve(dir || process.env.LOOPERT_IDENTITIES_DIR || path.join(os.homedir(), '.loopert', 'identities'));
+}
+
+function identityPath(name, dir) {
+  if (!NAME_RE.test(String(name || ''))) throw new Error('invalid_identity_name');
+  return path.join(identitiesDir(dir), name);
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+// storage state holds live session cookies, so files are owner-only
+function writePrivate(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+function summarize(name, base) {
+  const meta = readJson(path.join(base, META_FILE), {});
+  const state = readJson(path.join(base, STATE_FILE), null);
+  return {
+    name,
+    description: meta.description || '',
+    createdAt: meta.createdAt || null,
+    updatedAt: meta.updatedAt || null,
+    cookies: state?.cookies?.length || 0,
+    origins: (state?.origins || []).map((o) => o.origin),
+    domains: [...new Set((state?.cookies || []).map((c) => c.domain))].sort()
+  };
+}
+
+export function listIdentities({ dir } = {}) {
+  const root = identitiesDir(dir);
+  if (!fs.existsSync(root)) return [];
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && NAME_RE.test(entry.name) && fs.existsSync(path.join(root, entry.name, META_FILE)))
+    .map((entry) => summarize(entry.name, path.join(root, entry.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function identityExists(name, { dir } = {}) {
+  return fs.existsSync(path.join(identityPath(name, dir), META_FILE));
+}
+
+// `storageState` may seed the identity from an exported Playwright state file
+export function createIdentity(name, { dir, description = '', storageState } = {}) {
+  const base = identityPath(name, dir);
+  if (fs.existsSync(path.join(base, META_FILE))) throw new Error('identity_exists');
+  fs.mkdirSync(base, { recursive: true, mode: 0o700 });
+  const now = new Date().toISOString();
+  writePrivate(path.join(base, META_FILE), { name, description, createdAt: now, updatedAt: now });
+  if (storageState) {
+    const state = typeof storageState === 'string' ? readJson(storageState, null) : storageState;
+    if (!state || !Array.isArray(state.cookies)) throw new Error('invalid_storage_state');
+    writePrivate(path.join(base, STATE_FILE), state);
+  }
+  return summarize(name, base);
+}
+
+export function deleteIdentity(name, { dir } = {}) {
+  const base = identityPath(name, dir);
+  if (!fs.existsSync(path.join(base, META_FILE))) throw new Error('identity_not_found');
+  fs.rmSync(base, { recursive: true, force: true });
+}
+
+// Path to hand to newContext({ storageState }), or undefined for an identity that has not saved a state yet.
+export function identityStatePath(name, { dir } = {}) {
+  const base = identityPath(name, dir);
+  if (!fs.existsSync(path.join(base, META_FILE))) throw new Error('identity_not_found');
+  const file = path.join(base, STATE_FILE);
+  return fs.existsSync(file) ? file : undefined;
+}
+
+export function saveIdentityState(name, state, { dir } = {}) {
+  const base = identityPath(name, dir);
+  if (!fs.existsSync(path.join(base, META_FILE))) throw new Error('identity_not_found');
+  writePrivate(path.join(base, STATE_FILE), state);
+  const meta = readJson(path.join(base, META_FILE), { name });
+  writePrivate(path.join(base, META_FILE), { ...meta, updatedAt: new Date().toISOString() });
+  return summarize(name, base);
+}
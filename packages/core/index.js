@@ -1,30 +1,127 @@
-import { planGoal, validatePlan as validatePlanSchema } from '@loopert/llm';
+import { createPlannerAdapter, extractStructured, planGoal, validatePlan as validatePlanSchema } from '@loopert/llm';
 import fs from 'fs';
-import { exec } from 'child_process';
 import kleur from 'kleur';
 import path from 'path';
 import yaml from 'js-yaml';
-import { chromium } from 'playwright';
+import { createDomainPolicy, domainBlockedError } from './domains.js';
+import { bboxCenter, createDriver, findInteractableByLabel } from './drivers.js';
+import { buildGuardrailsSchema, guardrailsError, resolveGuardrailDoc } from './guardrails.js';
+import { identityStatePath, saveIdentityState } from './identities.js';
+import { createSecretStore, isSecretPlaceholder, redactSecrets, resolveSecrets } from './secrets.js';
+import { runShell } from './shell-sandbox.js';
+import { canonicalArgs, checkToolArgs, toolArgError } from './tool-rules.js';
+import { createTraceRecorder, readTrace } from './trace.js';
+import { createWorkspaceFiles, sha256 } from './workspace-files.js';
 
 const DEFAULT_MIN_ACTION_INTERVAL_MS = 250;
 const DEFAULT_WAIT_MS = 800;
+const MAX_OUTPUT_CHARS = 100000;
+const DEFAULT_EXPECT_TIMEOUT_MS = 3000;
+const EXPECT_POLL_MS = 250;
+const DEFAULT_ACTION_TIMEOUT_MS = 8000;
+const DEFAULT_RETRY_BACKOFF_MS = 500;
+const DEFAULT_DOWNLOAD_TIMEOUT_MS = 30000;
+const DEFAULT_RESPONSE_TIMEOUT_MS = 15000;
+const MAX_FETCH_REDIRECTS = 20;
+// semi_auto pauses on steps the planner is less sure of than this
+const APPROVAL_MIN_CONFIDENCE = 0.5;
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const DOWNLOADS_DIR = 'downloads';
+const ON_ERROR_ACTIONS = ['abort', 'continue', 'replan', 'ask_human'];
+// failures a retry cannot fix (bad args, denied by policy or the user)
+const NON_RETRYABLE_ERRORS = [
+  /^origin_change_denied$/,
+  /^template_unresolved/,
+  /_missing_/,
+  /^unsupported_tool/,
+  /^extract_schema_unknown_schema$/,
+  /^sandbox_violation$/,
+  /^upload_file_not_found$/,
+  /^password_field_blocked$/,
+  /^secret_not_found/,
+  /^domain_blocked$/,
+  /^tool_arg_violation$/,
+  /^shell_sandbox_unavailable$/,
+  /^file_quota_exceeded$/,
+  /^fetch_too_many_redirects$/,
+  /^download_target_exists$/,
+  /_unsupported$/
+];
+// step errors reported as a policy_block run status rather than a failed step
+const POLICY_VIOLATIONS = [/^domain_blocked$/, /^tool_arg_violation$/, /^file_quota_exceeded$/];
+// Tools whose url argument is checked against allowed_domains/denied_domains before the plan runs
+const URL_TOOLS = ['navigate', 'new_tab', 'fetch'];
+const STEP_TEMPLATE_RE = /\{\{\s*steps\.(\d+)((?:\.[\w-]+)*)\s*\}\}/g;
 const BASE_TOOL_CATALOG = [
   { name: 'navigate', schema: 'navigate({ url })', risk_level: 'medium', description: 'Change page' },
-  { name: 'click', schema: 'click({ id })', risk_level: 'low', description: 'Click element' },
+  { name: 'click', schema: 'click({ id, frame? })', risk_level: 'low', description: 'Click element' },
   { name: 'click_point', schema: 'click_point({ point:{x,y}, button?, clickCount? })', risk_level: 'medium', description: 'Click by screen coordinates' },
   { name: 'drag', schema: 'drag({ from:{x,y}, to:{x,y}, durationMs? })', risk_level: 'medium', description: 'Drag from A to B' },
-  { name: 'type', schema: 'type({ id, text })', risk_level: 'medium', description: 'Fill text' },
+  { name: 'type', schema: 'type({ id, text, frame? })', risk_level: 'medium', description: 'Fill text' },
+  { name: 'select_option', schema: 'select_option({ id, value|values, frame? })', risk_level: 'medium', description: 'Pick <select> option(s) by value or label' },
+  { name: 'set_checked', schema: 'set_checked({ id, checked?, frame? })', risk_level: 'medium', description: 'Tick or untick a checkbox, or choose a radio' },
+  {
+    name: 'fill_form',
+    schema: 'fill_form({ fields: { label: value } })',
+    risk_level: 'medium',
+    description: 'Fill several fields by label: text, select, checkbox/radio and date inputs'
+  },
   { name: 'hotkey', schema: 'hotkey({ keys:string[] })', risk_level: 'medium', description: 'Send chorded keys' },
   { name: 'long_press', schema: 'long_press({ point:{x,y}, durationMs? })', risk_level: 'medium', description: 'Press and hold at point' },
-  { name: 'scroll', schema: 'scroll({ deltaY })', risk_level: 'low', description: 'Scroll viewport' },
+  { name: 'scroll', schema: 'scroll({ deltaY, id?, frame? })', risk_level: 'low', description: 'Scroll viewport, an element or a frame' },
   { name: 'wait_for_idle', schema: 'wait_for_idle({ timeoutMs })', risk_level: 'low', description: 'Wait for idle' },
-  { name: 'snapshot', schema: 'snapshot()', risk_level: 'low', description: 'Capture screenshot' }
+  { name: 'snapshot', schema: 'snapshot()', risk_level: 'low', description: 'Capture screenshot' },
+  {
+    name: 'block_requests',
+    schema: 'block_requests({ resourceTypes?: (image|media|font|stylesheet|script|ads|trackers)[], urlPatterns?: string[] })',
+    risk_level: 'low',
+    description: 'Abort matching requests for the rest of the run'
+  },
+  {
+    name: 'mock_response',
+    schema: 'mock_response({ urlPattern, status?, body?, headers?, times? })',
+    risk_level: 'medium',
+    description: 'Answer matching requests with a stub response'
+  },
+  {
+    name: 'wait_for_response',
+    schema: 'wait_for_response({ urlPattern, status?, timeoutMs? })',
+    risk_level: 'low',
+    description: 'Wait for a network response and return its status/body'
+  },
+  { name: 'list_tabs', schema: 'list_tabs()', risk_level: 'low', description: 'List open tabs' },
+  { name: 'switch_tab', schema: 'switch_tab({ tab: id|index|url })', risk_level: 'low', description: 'Make another tab active' },
+  { name: 'close_tab', schema: 'close_tab({ tab? })', risk_level: 'low', description: 'Close a tab (default: active)' },
+  { name: 'new_tab', schema: 'new_tab({ url? })', risk_level: 'medium', description: 'Open and switch to a new tab' },
+  { name: 'extract_text', schema: 'extract_text({ id?, selector?, maxChars?, name? })', risk_level: 'low', description: 'Read visible text of an element or the page' },
+  { name: 'extract_table', schema: 'extract_table({ id?, selector?, index?, all?, name? })', risk_level: 'low', description: 'Parse HTML tables into rows' },
+  {
+    name: 'extract_schema',
+    schema: 'extract_schema({ schema: name|JSONSchema, id?, selector?, instructions?, name? })',
+    risk_level: 'low',
+    description: 'Fill a JSON Schema from page content'
+  }
 ];
+const EXTRACTION_TOOLS = ['extract_text', 'extract_table', 'extract_schema'];
+// the only tools a dry run executes: they observe the page without acting on it
+const DRY_RUN_TOOLS = ['snapshot', 'wait_for_idle', 'list_tabs', ...EXTRACTION_TOOLS];
+// tools after which the page is checked for a captcha / verification interstitial (when onBlocker is given)
+const BLOCKER_CHECK_TOOLS = ['navigate', 'new_tab', 'switch_tab', 'click', 'click_point', 'type', 'hotkey', 'fill_form'];
+const CAPTCHA_URL_RE = /\/sorry\/|captcha|\/cdn-cgi\/challenge/i;
+const CAPTCHA_TEXT_RE = /unusual traffic|are you a robot|verify (?:that )?you are (?:a )?human|why did this happen\?|captcha/i;
+const MAX_BLOCKER_ATTEMPTS = 3;
 
 const EXTENDED_TOOL_CATALOG = [
   { name: 'shell', schema: 'shell({ cmd, timeoutMs? })', risk_level: 'high', description: 'Run OS shell command' },
   { name: 'read_file', schema: 'read_file({ path, encoding? })', risk_level: 'medium', description: 'Read local file' },
   { name: 'write_file', schema: 'write_file({ path, content, encoding? })', risk_level: 'high', description: 'Write local file' },
+  { name: 'upload', schema: 'upload({ id, path, frame? })', risk_level: 'high', description: 'Attach a workspace file to a file input' },
+  {
+    name: 'wait_for_download',
+    schema: 'wait_for_download({ saveAs?, overwrite?: boolean, timeoutMs? })',
+    risk_level: 'high',
+    description: 'Save the next browser download into the workspace'
+  },
   {
     name: 'fetch',
     schema: 'fetch({ url, method?, headers?, body? })',
@@ -33,56 +130,81 @@ const EXTENDED_TOOL_CATALOG = [
   }
 ];
 
-function buildToolCatalog(profileName) {
-  if (['pro', 'auto', 'unleashed'].includes(profileName)) {
+// a profile that `extends` pro/auto/unleashed gets their catalog too
+function buildToolCatalog(profileNames) {
+  if ([].concat(profileNames).some((name) => ['pro', 'auto', 'unleashed'].includes(name))) {
     return [...BASE_TOOL_CATALOG, ...EXTENDED_TOOL_CATALOG];
   }
   return BASE_TOOL_CATALOG;
 }
 
 const DEFAULT_TOOL_CATALOG = BASE_TOOL_CATALOG;
+export const GUARDRAILS_SCHEMA = buildGuardrailsSchema([...BASE_TOOL_CATALOG, ...EXTENDED_TOOL_CATALOG].map((t) => t.name));
+// Same shape as guardrails.yaml: `default` spells out every key and the others only say how they differ.
 const DEFAULT_GUARDRAILS = {
   source: 'built-in-default',
   profiles: {
     default: {
       description: 'Conservative defaults for manual review',
       max_steps: 12,
-      blocked_tools: ['shell', 'write_file'],
+      blocked_tools: ['shell', 'write_file', 'upload', 'wait_for_download'],
       allow_password: false,
       require_origin_confirmation: true,
-      autonomy_level: 'assisted'
+      allowed_domains: [],
+      denied_domains: [],
+      tool_rules: {},
+      shell_sandbox: { mode: 'isolated', network: false, workspace: 'read_write' },
+      file_quota: { read_bytes: 50000000, write_bytes: 50000000 },
+      autonomy_level: 'assisted',
+      approval_tools: [],
+      min_confidence: 0,
+      max_risk_without_approval: 'high',
+      max_high_risk_steps: null,
+      step_retry: 1,
+      step_backoff_ms: 500,
+      step_timeout_ms: 30000,
+      on_error: 'ask_human',
+      follow_popups: false,
+      block_requests: { resource_types: [], url_patterns: [] },
+      capture: { trace: false, har: false, video: false }
     },
     pro: {
+      extends: 'default',
       description: 'Lenient but still safe profile',
       max_steps: 25,
-      blocked_tools: ['shell', 'write_file'],
-      allow_password: false,
-      require_origin_confirmation: true,
-      autonomy_level: 'semi_auto'
+      autonomy_level: 'semi_auto',
+      step_retry: 2,
+      on_error: 'replan',
+      follow_popups: true
     },
     auto: {
+      extends: 'default',
       description: 'Highest autonomy; still no password fields',
       max_steps: 30,
       blocked_tools: [],
       allow_password: true,
       require_origin_confirmation: false,
-      autonomy_level: 'auto'
+      autonomy_level: 'auto',
+      min_confidence: 0.3,
+      step_retry: 2,
+      step_timeout_ms: 45000,
+      on_error: 'replan',
+      follow_popups: true
     },
     unleashed: {
+      extends: 'auto',
       description: 'Unrestricted. User accepts full risk.',
       max_steps: 40,
-      blocked_tools: [],
-      allow_password: true,
-      require_origin_confirmation: false,
-      autonomy_level: 'auto'
+      step_retry: 3,
+      step_timeout_ms: 60000
     },
     mobile: {
+      extends: 'default',
       description: 'Mobile/touch profile with coordinate tools enabled, shell blocked',
       max_steps: 25,
-      blocked_tools: ['shell', 'write_file'],
-      allow_password: false,
-      require_origin_confirmation: true,
-      autonomy_level: 'semi_auto'
+      autonomy_level: 'semi_auto',
+      step_retry: 2,
+      follow_popups: true
     }
   }
 };
@@ -95,9 +217,9 @@ function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
-async function resolvePointAbs(point, page) {
+async function resolvePointAbs(point, driver) {
   if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return null;
-  const size = page.viewportSize() || { width: 1280, height: 720 };
+  const size = (await driver.viewportSize()) || { width: 1280, height: 720 };
   const norm =
     Math.abs(point.x) <= 1 && Math.abs(point.y) <= 1
       ? { x: point.x * size.width, y: point.y * size.height }
@@ -129,14 +251,6 @@ function logStructured(onUpdate, level, msg, meta = {}) {
   }
 }
 
-function resolveSandboxPath(base, targetPath) {
-  const resolved = path.resolve(base, targetPath);
-  if (!resolved.startsWith(base)) {
-    throw new Error('sandbox_violation');
-  }
-  return resolved;
-}
-
 async function enforceRateLimit(lastActionAt, minIntervalMs = DEFAULT_MIN_ACTION_INTERVAL_MS) {
   const elapsed = Date.now() - lastActionAt.value;
   if (elapsed < minIntervalMs) {
@@ -151,49 +265,57 @@ function resolveGuardrailPath(configPath) {
   return path.isAbsolute(configPath) ? configPath : path.join(process.cwd(), configPath);
 }
 
+// A missing file means the built-in profiles; an unreadable or invalid one is an error, never a silent fallback.
 function loadGuardrailDoc(configPath) {
   const resolved = resolveGuardrailPath(configPath);
-  if (resolved && fs.existsSync(resolved)) {
-    try {
-      const raw = fs.readFileSync(resolved, 'utf8');
-      const parsed = yaml.load(raw);
-      if (parsed && typeof parsed === 'object') {
-        return { ...parsed, source: resolved };
-      }
-    } catch (err) {
-      return { ...DEFAULT_GUARDRAILS, source: `${resolved} (parse_error: ${err.message})` };
-    }
+  if (!resolved || !fs.existsSync(resolved)) {
+    const { source, ...builtIn } = DEFAULT_GUARDRAILS;
+    return { ...resolveGuardrailDoc(builtIn, { schema: GUARDRAILS_SCHEMA, source }), source };
   }
-  return { ...DEFAULT_GUARDRAILS };
+  let parsed;
+  try {
+    parsed = yaml.load(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw guardrailsError('guardrails_parse_error', { source: resolved, errors: [{ path: '/', message: err.message }] });
+  }
+  return { ...resolveGuardrailDoc(parsed, { schema: GUARDRAILS_SCHEMA, source: resolved }), source: resolved };
 }
 
-function selectGuardrailProfile(doc, profileName) {
+function selectGuardrailProfile(doc, profileName = 'default') {
   const profiles = doc?.profiles || {};
-  if (profileName && profiles[profileName]) {
-    return { profileName, profile: profiles[profileName] };
-  }
-  if (profiles.default) {
-    return { profileName: 'default', profile: profiles.default };
-  }
-  const firstKey = Object.keys(profiles)[0];
-  if (firstKey) {
-    return { profileName: firstKey, profile: profiles[firstKey] };
+  if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+    throw guardrailsError('guardrails_profile_not_found', {
+      source: doc.source,
+      profile: profileName,
+      available: Object.keys(profiles)
+    });
   }
-  return { profileName: profileName || 'default', profile: {} };
+  return { profileName, profile: profiles[profileName] };
 }
 
 function loadGuardrails({ configPath, profileName }) {
   const doc = loadGuardrailDoc(configPath);
-  const { profileName: selectedName, profile } = selectGuardrailProfile(doc, profileName);
+  const { profileName: selectedName, profile } = selectGuardrailProfile(doc, profileName || undefined);
   return {
-    source: doc.source || 'built-in-default',
+    source: doc.source,
     profileName: selectedName,
+    // the profile and the ones it extends, nearest first
+    lineage: [selectedName, ...(doc.extends?.[selectedName] || [])],
     profile,
     doc
   };
 }
 
-function buildPolicyHint(profile, toolCatalog = DEFAULT_TOOL_CATALOG) {
+// Effective (extends-merged) policy of every profile, or { error, details } describing what is wrong.
+export function lintGuardrails({ configPath } = {}) {
+  try {
+    return loadGuardrailDoc(configPath);
+  } catch (err) {
+    return { error: err.message, details: err.details };
+  }
+}
+
+function buildPolicyHint(profile, toolCatalog = DEFAULT_TOOL_CATALOG, schemaNames = [], secretNames = []) {
   if (!profile) return '';
   const lines = [];
   if (profile.description) lines.push(profile.description);
@@ -207,26 +329,98 @@ function buildPolicyHint(profile, toolCatalog = DEFAULT_TOOL_CATALOG) {
     lines.push(`Never use tools: ${profile.blocked_tools.join(', ')}.`);
   }
   if (profile.allow_password === false) {
-    lines.push('Never type into password/secret fields or ids containing "password" or "pwd".');
+    lines.push(
+      secretNames.length
+        ? 'Never type into password/secret fields except with a {{secret:name}} placeholder as the whole text.'
+        : 'Never type into password/secret fields or ids containing "password" or "pwd".'
+    );
+  }
+  if (secretNames.length) {
+    lines.push(`Stored secrets (use as {{secret:name}} in args, never ask for the value): ${secretNames.join(', ')}.`);
   }
   if (profile.require_origin_confirmation) {
     lines.push('Avoid cross-origin navigation unless clearly necessary.');
   }
+  if (Array.isArray(profile.allowed_domains) && profile.allowed_domains.length) {
+    lines.push(`Only visit or fetch these domains (and their subdomains): ${profile.allowed_domains.join(', ')}.`);
+  }
+  const shellAllowed = toolCatalog?.some((t) => t.name === 'shell') && !(profile.blocked_tools || []).includes('shell');
+  if (shellAllowed && profile.shell_sandbox?.mode !== 'host') {
+    const sandbox = profile.shell_sandbox || {};
+    lines.push(
+      `shell runs sandboxed in the workspace: scrubbed env${sandbox.network ? '' : ', no network'}${sandbox.workspace === 'read_only' ? ', read-only files' : ''}.`
+    );
+  }
+  if (Number(profile.min_confidence) > 0) {
+    lines.push(`Steps with confidence below ${profile.min_confidence} are not executed; the page is sent back for a new plan.`);
+  }
+  if (profile.max_high_risk_steps !== undefined && profile.max_high_risk_steps !== null) {
+    lines.push(`At most ${profile.max_high_risk_steps} high-risk step(s) per plan; a tool's own risk level counts even if estimated_risk is lower.`);
+  }
+  const argRules = Object.entries(profile.tool_rules || {}).flatMap(([tool, rules]) =>
+    Object.entries(rules || {}).map(([arg, rule]) => `${tool}.${arg} ${JSON.stringify(rule)}`)
+  );
+  if (argRules.length) {
+    lines.push(`Tool arguments must satisfy (a violation stops the run): ${argRules.join('; ')}.`);
+  }
+  if (Array.isArray(profile.denied_domains) && profile.denied_domains.length) {
+    lines.push(`Never visit or fetch: ${profile.denied_domains.join(', ')}.`);
+  }
   if (profile.autonomy_level) {
     lines.push(`Target autonomy level: ${profile.autonomy_level}.`);
   }
+  if (profile.follow_popups) {
+    lines.push('Tabs opened by a click become the active tab automatically; use switch_tab to go back.');
+  }
+  if (schemaNames.length) {
+    lines.push(`extract_schema may use these named schemas: ${schemaNames.join(', ')}.`);
+  }
   return lines.join('\n');
 }
 
+function isPasswordKey(key) {
+  const id = String(key || '').toLowerCase();
+  return id.includes('password') || id.includes('pwd');
+}
+
+function riskRank(level) {
+  return RISK_LEVELS.indexOf(String(level || '').toLowerCase());
+}
+
+// The higher of the model's estimate and the tool's catalog risk, so a shell step cannot be reported as low.
+function effectiveRisk(step, toolCatalog = DEFAULT_TOOL_CATALOG) {
+  const catalogRisk = toolCatalog?.find((t) => t.name === step.tool)?.risk_level;
+  const modelRisk = riskRank(step.estimated_risk) === -1 ? 'medium' : String(step.estimated_risk).toLowerCase();
+  return riskRank(catalogRisk) > riskRank(modelRisk) ? catalogRisk : modelRisk;
+}
+
+// Raises each step's estimated_risk to its effective risk; the model's own value is kept as model_risk.
+function applyCatalogRisk(plan, toolCatalog) {
+  if (!plan?.steps) return plan;
+  const steps = plan.steps.map((step) => {
+    const risk = effectiveRisk(step, toolCatalog);
+    return risk === step.estimated_risk ? step : { ...step, estimated_risk: risk, model_risk: step.estimated_risk };
+  });
+  return { ...plan, steps };
+}
+
 function validatePlanAgainst(plan, profile, toolCatalog = DEFAULT_TOOL_CATALOG) {
   if (!plan || !Array.isArray(plan.steps)) {
     return { error: 'invalid_plan', details: 'Plan missing steps array' };
   }
   const allowedTools = new Set(toolCatalog?.map((t) => t.name) || []);
   const blockedTools = new Set(profile?.blocked_tools || []);
+  const domains = createDomainPolicy(profile);
   if (profile?.max_steps && plan.steps.length > profile.max_steps) {
     return { error: 'max_steps_exceeded', details: { max: profile.max_steps, actual: plan.steps.length } };
   }
+  const maxHighRisk = profile?.max_high_risk_steps;
+  if (maxHighRisk !== undefined && maxHighRisk !== null) {
+    const highRisk = plan.steps.flatMap((step, idx) => (effectiveRisk(step, toolCatalog) === 'high' ? [idx] : []));
+    if (highRisk.length > Number(maxHighRisk)) {
+      return { error: 'too_many_high_risk_steps', details: { max: Number(maxHighRisk), actual: highRisk.length, steps: highRisk } };
+    }
+  }
 
   for (const [idx, step] of plan.steps.entries()) {
     if (!allowedTools.has(step.tool)) {
@@ -235,24 +429,42 @@ function validatePlanAgainst(plan, profile, toolCatalog = DEFAULT_TOOL_CATALOG)
     if (blockedTools.has(step.tool)) {
       return { error: 'tool_blocked', details: { step: idx, tool: step.tool } };
     }
-    if (profile?.allow_password === false && step.tool === 'type') {
-      const id = String(step.args?.id || '').toLowerCase();
-      if (id.includes('password') || id.includes('pwd')) {
+    const argViolation = checkToolArgs(profile?.tool_rules, step.tool, step.args, { skip: isStepTemplate });
+    if (argViolation) {
+      return { error: 'tool_arg_violation', details: { step: idx, ...argViolation } };
+    }
+    // templated urls are only known at run time; executeStep checks them then
+    const url = URL_TOOLS.includes(step.tool) ? canonicalArgs(step.tool, step.args)?.url : null;
+    const violation = url && !String(url).includes('{{') ? domains.check(url) : null;
+    if (violation) {
+      return { error: 'domain_blocked', details: { step: idx, tool: step.tool, ...violation } };
+    }
+    // a {{secret:name}} placeholder is the sanctioned way to fill a password
+    if (profile?.allow_password === false && step.tool === 'type' && !isSecretPlaceholder(step.args?.text)) {
+      if (isPasswordKey(step.args?.id)) {
         return { error: 'password_field_blocked', details: { step: idx } };
       }
     }
+    if (profile?.allow_password === false && step.tool === 'fill_form') {
+      const field = Object.entries(step.args?.fields || {}).find(
+        ([key, value]) => isPasswordKey(key) && !isSecretPlaceholder(value)
+      )?.[0];
+      if (field) {
+        return { error: 'password_field_blocked', details: { step: idx, field } };
+      }
+    }
   }
 
   return { ok: true };
 }
 
-async function normalizeCoordinates(plan, page, logger) {
+async function normalizeCoordinates(plan, driver, logger) {
   if (!plan?.steps?.length) return plan;
-  const viewport = page.viewportSize() || { width: 1280, height: 720 };
+  const viewport = (await driver.viewportSize()) || { width: 1280, height: 720 };
   const clamp = (pt) => clipPointToViewport(pt, viewport);
 
   const adjustPoint = async (pt) => {
-    const abs = await resolvePointAbs(pt, page);
+    const abs = await resolvePointAbs(pt, driver);
     return clamp(abs);
   };
 
@@ -287,118 +499,31 @@ async function normalizeCoordinates(plan, page, logger) {
   return { ...plan, steps: adjustedSteps };
 }
 
-function scoreCandidate(text, keyLower) {
-  if (!text) return 0;
-  const t = text.toLowerCase();
-  if (t === keyLower) return 4;
-  if (t.includes(keyLower)) return 3;
-  if (keyLower.includes(t)) return 2;
-  // soft match: Jaro-Winkler-lite (prefix bonus)
-  let bonus = 0;
-  const minLen = Math.min(t.length, keyLower.length);
-  for (let i = 0; i < Math.min(minLen, 4); i++) {
-    if (t[i] === keyLower[i]) bonus += 0.25;
-    else break;
-  }
-  return bonus;
-}
-
-function findInteractableByLabel(interactables, key) {
-  if (!key || !Array.isArray(interactables)) return null;
-  const keyLower = key.toLowerCase();
-  let best = null;
-  let bestScore = 0;
-  for (const cand of interactables) {
-    const score =
-      scoreCandidate(cand.id, keyLower) * 1.4 +
-      scoreCandidate(cand.label, keyLower) * 1.2 +
-      scoreCandidate(cand.locatorHint, keyLower) +
-      scoreCandidate(cand.role, keyLower) * 0.6;
-    if (score > bestScore) {
-      bestScore = score;
-      best = cand;
-    }
-  }
-  return bestScore >= 1 ? best : null;
-}
-
-function bboxCenter(bbox) {
-  if (!bbox) return null;
-  const { x, y, width, height, centerX, centerY } = bbox;
-  if (Number.isFinite(centerX) && Number.isFinite(centerY)) return { x: centerX, y: centerY };
-  if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(width) && Number.isFinite(height)) {
-    return { x: x + width / 2, y: y + height / 2 };
-  }
-  return null;
-}
-
-async function collectInteractables(page) {
-  try {
-    return await page.evaluate(() => {
-      const nodes = Array.from(
-        document.querySelectorAll(
-          'button, a, input, textarea, select, [role="button"], [role="link"], [role="textbox"], [contenteditable="true"]'
-        )
-      );
-      return nodes.slice(0, 150).map((el, idx) => {
-        const rect = el.getBoundingClientRect();
-        const id = el.id || '';
-        const role = el.getAttribute('role') || el.tagName.toLowerCase();
-        const type = el.getAttribute('type') || el.tagName.toLowerCase();
-        const aria = el.getAttribute('aria-label') || '';
-        const placeholder = el.getAttribute('placeholder') || '';
-        const text = (el.innerText || '').trim();
-      const label =
-        aria ||
-        placeholder ||
-        text.slice(0, 120) ||
-        id ||
-        `${role}-${idx}`;
-      const locatorHint = id ? `#${id}` : text ? text.slice(0, 50) : label.slice(0, 50);
-      return {
-        id: id || label || `node-${idx}`,
-        role,
-        type,
-        label,
-        locatorHint,
-        bbox: {
-          x: rect.x,
-          y: rect.y,
-          width: rect.width,
-          height: rect.height,
-          centerX: rect.x + rect.width / 2,
-          centerY: rect.y + rect.height / 2
-        }
-      };
-    });
-  });
-  } catch (_) {
-    return [];
-  }
-}
-
-async function collectSnapshot(page, { includeScreenshot = true } = {}) {
-  const url = page.url();
+async function collectSnapshot(driver, { includeScreenshot = true } = {}) {
+  const url = await driver.url();
   const origin = url ? new URL(url).origin : '';
   let screenshot = undefined;
-  const viewport = page.viewportSize() || {};
-  const deviceScaleFactor = await page.evaluate(() => window.devicePixelRatio).catch(() => undefined);
+  const viewport = (await driver.viewportSize()) || {};
+  const deviceScaleFactor = await driver.deviceScaleFactor();
   if (includeScreenshot) {
     try {
-      screenshot = await page.screenshot({ fullPage: true, encoding: 'base64' });
+      screenshot = (await driver.screenshot({ fullPage: true })).toString('base64');
     } catch (_) {
       screenshot = undefined;
     }
   }
-  const interactables = await collectInteractables(page);
-  const title = await page.title().catch(() => '');
+  const { interactables = [], frames = [] } = await driver.snapshot().catch(() => ({}));
+  const title = await driver.title();
+  const tabs = driver.tabs ? await driver.tabs().catch(() => []) : [];
   return {
     page: {
       url,
       origin,
       title,
-      interactables
+      interactables,
+      frames
     },
+    tabs,
     visual: {
       screenshot,
       visionFeatures: {},
@@ -411,38 +536,6 @@ async function collectSnapshot(page, { includeScreenshot = true } = {}) {
   };
 }
 
-
-function cssEscape(value) {
-  // Minimal CSS.escape fallback
-  return String(value).replace(/[^a-zA-Z0-9_-]/g, (ch) => `\\${ch}`);
-}
-
-async function resolveLocator(page, key) {
-  const target = String(key || '').trim();
-  if (!target) throw new Error('selector_missing_key');
-
-  const candidates = [
-    { desc: 'id', locator: page.locator(`#${cssEscape(target)}`) },
-    { desc: 'name', locator: page.locator(`[name="${target}"]`) },
-    { desc: 'aria-label', locator: page.getByLabel(target) },
-    { desc: 'placeholder', locator: page.locator(`[placeholder="${target}"]`) },
-    { desc: 'text', locator: page.getByText(target).first() }
-  ];
-
-  for (const { locator } of candidates) {
-    try {
-      const handle = await locator.first().elementHandle({ timeout: 1500 });
-      if (handle) {
-        return locator.first();
-      }
-    } catch (err) {
-      // continue to next candidate
-    }
-  }
-
-  throw new Error('selector_not_found');
-}
-
 async function confirmOriginChange(currentOrigin, targetUrl, confirmOriginChange) {
   if (!confirmOriginChange || !currentOrigin) return true;
   const nextOrigin = new URL(targetUrl).origin;
@@ -450,70 +543,173 @@ async function confirmOriginChange(currentOrigin, targetUrl, confirmOriginChange
   return confirmOriginChange(currentOrigin, nextOrigin);
 }
 
-async function takeSnapshot(page, artifactsDir) {
+async function takeSnapshot(driver, artifactsDir, fullPage = true) {
   ensureDir(artifactsDir);
   const file = path.join(
     artifactsDir,
     `snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}.png`
   );
-  await page.screenshot({ path: file, fullPage: true });
+  await driver.screenshot({ path: file, fullPage });
   return file;
 }
 
-function assertNotKilled(killSignal) {
-  if (killSignal?.aborted) {
-    throw new Error('killed');
-  }
+function toChecked(value) {
+  if (typeof value === 'string') return !/^(false|no|off|unchecked|0|)$/i.test(value.trim());
+  return Boolean(value);
+}
+
+function fieldKind(match) {
+  const role = String(match?.role || '').toLowerCase();
+  const type = String(match?.type || '').toLowerCase();
+  if (type === 'select' || role === 'listbox') return 'select';
+  if (['checkbox', 'radio', 'switch'].includes(role) || ['checkbox', 'radio'].includes(type)) return 'check';
+  return 'fill';
 }
 
-async function dismissCookies(page, logger) {
-  const labels = [
-    'Reject all',
-    'Reject All',
-    'Reject',
-    'Accept all',
-    'Accept All',
-    'Accept',
-    'Allow all',
-    'Allow All',
-    'Agree',
-    'I agree',
-    'Continue without accepting',
-    'Continue without consenting'
-  ];
-  for (const label of labels) {
+// Maps each label to an interactable from a fresh snapshot and fills it by kind.
+// Password fields are refused up front when the profile disallows them, before anything is typed.
+async function fillForm(fields, context, timeoutMs, rawFields = fields) {
+  const { driver } = context;
+  const snapshot = await driver.snapshot().catch(() => null);
+  if (snapshot?.interactables) context.interactables = snapshot.interactables;
+  const { interactables } = context;
+  const entries = Object.entries(fields).map(([field, value]) => ({
+    field,
+    value,
+    match: findInteractableByLabel(interactables, field)
+  }));
+  if (context.allowPassword === false) {
+    const blocked = entries.find(
+      ({ field, match }) =>
+        (isPasswordKey(field) || match?.type === 'password') && !isSecretPlaceholder(rawFields?.[field])
+    );
+    if (blocked) throw new Error('password_field_blocked');
+  }
+  const result = { filled: [], missing: [], failed: [] };
+  for (const { field, value, match } of entries) {
+    if (!match) {
+      result.missing.push(field);
+      continue;
+    }
+    const kind = fieldKind(match);
+    const opts = { timeoutMs, frame: match.frame };
     try {
-      const btn = page.getByRole('button', { name: label, exact: false }).first();
-      const handle = await btn.elementHandle({ timeout: 400 });
-      if (handle) {
-        await btn.click({ timeout: 800 });
-        if (logger) logger(`cookie dismiss: clicked "${label}"`);
-        return true;
-      }
-    } catch (_) {
-      // try next
+      if (kind === 'select') await driver.selectOption(match.id, value, opts);
+      else if (kind === 'check') await driver.setChecked(match.id, toChecked(value), opts);
+      else await driver.fill(match.id, String(value ?? ''), opts);
+      result.filled.push({ field, id: match.id, kind });
+    } catch (err) {
+      result.failed.push({ field, id: match.id, error: err.message });
     }
   }
-  // fallback: try links
-  for (const label of labels) {
-    try {
-      const link = page.getByText(label, { exact: false }).first();
-      const handle = await link.elementHandle({ timeout: 400 });
-      if (handle) {
-        await link.click({ timeout: 800 });
-        if (logger) logger(`cookie dismiss (text): clicked "${label}"`);
-        return true;
-      }
-    } catch (_) {
-      // continue
+  return result;
+}
+
+// `secrets` may be a store from createSecretStore() or a plain { name: value } map
+function openSecretStore(secrets, secretsFile) {
+  if (secrets && typeof secrets.get === 'function') return secrets;
+  return createSecretStore({ file: secretsFile || process.env.LOOPERT_SECRETS_FILE, values: secrets || {} });
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+function isStepTemplate(value) {
+  return typeof value === 'string' && /\{\{\s*steps\./.test(value);
+}
+
+function assertDomainAllowed(context, url) {
+  const violation = context.domainPolicy?.check(url);
+  if (violation) throw domainBlockedError(violation);
+}
+
+function originOf(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin === 'null' ? null : origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+// A followed popup is a navigation like any other: a cross-origin popup still needs origin confirmation,
+// and a refused one is left open in the background while the opener stays active.
+async function handlePopup(popup, context) {
+  const { driver, logger, confirmOriginChangeFn } = context;
+  // a popup outside the domain fence is closed whether or not it would have been followed
+  const violation = context.domainPolicy?.check(popup.url);
+  if (violation) {
+    await driver.closeTab(popup.id).catch(() => { });
+    if (popup.opener) await driver.switchTab(popup.opener).catch(() => { });
+    if (logger) logger(`closed popup ${popup.id} (${popup.url}): domain not allowed`);
+    throw domainBlockedError({ ...violation, popup: popup.id });
+  }
+  if (!popup.followed) {
+    if (logger) logger(`click opened tab ${popup.id} (${popup.url}); not followed`);
+    return popup;
+  }
+  const origin = originOf(popup.url);
+  if (origin) {
+    const allowed = await confirmOriginChange(context.currentOrigin, popup.url, confirmOriginChangeFn);
+    if (!allowed) {
+      if (popup.opener) await driver.switchTab(popup.opener);
+      if (logger) logger(`popup ${popup.id} (${popup.url}) not followed: origin change denied`);
+      return { ...popup, active: false, followed: false };
     }
+    context.currentOrigin = origin;
   }
-  return false;
+  if (logger) logger(`followed popup to tab ${popup.id} (${popup.url})`);
+  return popup;
 }
 
+function assertNotKilled(killSignal) {
+  if (killSignal?.aborted) {
+    throw new Error('killed');
+  }
+}
+
+// Link clicks, form submits and redirects can leave the fence without a url argument to check up front,
+// so the page url is checked after each step and a disallowed page is left for the previous one.
+async function enforceDomainPolicy(context, previousUrl) {
+  const { driver, logger, domainPolicy } = context;
+  const url = await driver.url();
+  const violation = domainPolicy.check(url);
+  if (!violation) return;
+  const fallback = previousUrl && !domainPolicy.check(previousUrl) ? previousUrl : 'about:blank';
+  await driver.navigate(fallback).catch(() => { });
+  context.currentOrigin = originOf(fallback);
+  if (logger) logger(`left ${url}: domain not allowed`);
+  throw domainBlockedError(violation);
+}
+
+// The fence is checked after every step, failed ones included: a step that throws (a navigation the routing layer
+// refused, a click whose redirect landed outside and then failed) must not leave the page outside it either.
 async function executeStep(step, context) {
+  const { driver } = context;
+  const fenced = Boolean(context.domainPolicy?.active && driver);
+  const urlBefore = fenced ? await driver.url() : null;
+  driver?.blockedNavigations?.();
+  const checkFence = async () => {
+    const [blocked] = driver.blockedNavigations?.() || [];
+    if (blocked) throw domainBlockedError(blocked);
+    await enforceDomainPolicy(context, urlBefore);
+  };
+  let output;
+  try {
+    output = await runTool(step, context);
+  } catch (err) {
+    if (fenced && err.message !== 'domain_blocked') await checkFence();
+    throw err;
+  }
+  if (fenced) await checkFence();
+  return output;
+}
+
+async function runTool(step, context) {
   const {
-    page,
+    driver,
     lastActionAt,
     artifactsDir,
     confirmOriginChangeFn,
@@ -523,58 +719,83 @@ async function executeStep(step, context) {
     cookieDismiss
   } = context;
   const minInterval = DEFAULT_MIN_ACTION_INTERVAL_MS;
+  // wait_for_response also accepts responses that arrived since the previous action started
+  const previousActionAt = lastActionAt.value;
   await enforceRateLimit(lastActionAt, minInterval);
   assertNotKilled(killSignal);
+  // {{secret:name}} placeholders become values only here; step records keep the placeholder.
+  // Aliases (href, y, ...) are folded into canonical names first, so rules and the tool see the same args.
+  const rawArgs = canonicalArgs(step.tool, step.args || {});
+  // checked with templates resolved, first with secrets as placeholders and then with their values, so a secret
+  // cannot carry a denied url or a `;` into shell.cmd; violation details are redacted back to placeholders
+  const argViolation = checkToolArgs(context.toolRules, step.tool, rawArgs);
+  if (argViolation) throw toolArgError(argViolation);
+  step = { ...step, args: resolveSecrets(rawArgs, context.secrets) };
+  const secretViolation = checkToolArgs(context.toolRules, step.tool, step.args);
+  if (secretViolation) throw toolArgError(redactSecrets(secretViolation, context.secrets));
 
+  // every tool reports a structured output; later steps reference it via {{steps.N.output.*}}
+  let output = {};
   switch (step.tool) {
     case 'navigate': {
-      const url = step.args.url || step.args.href || step.args.target || step.args.to;
+      const { url } = step.args;
       if (!url) throw new Error('navigate_missing_url');
+      assertDomainAllowed(context, url);
       const allowed = await confirmOriginChange(context.currentOrigin, url, confirmOriginChangeFn);
       if (!allowed) throw new Error('origin_change_denied');
-      const response = await page.goto(url, { waitUntil: 'domcontentloaded' });
-      context.currentOrigin = new URL(page.url()).origin;
-      if (logger) logger(`navigated (${response?.status() || 'no response'}) -> ${page.url()}`);
+      const response = await driver.navigate(url, { timeoutMs: step.timeoutMs || undefined });
+      context.currentOrigin = new URL(response.url).origin;
+      if (logger) logger(`navigated (${response.status || 'no response'}) -> ${response.url}`);
       if (cookieDismiss) {
-        await dismissCookies(page, logger);
+        await driver.dismissCookies(logger);
       }
+      output = { status: response.status ?? null, url: await driver.url(), title: await driver.title() };
       break;
     }
     case 'click': {
       const key = step.args.id;
+      const frame = step.args.frame || undefined;
       if (!key) throw new Error('click_missing_id');
-      let locator = null;
       try {
-        locator = await resolveLocator(page, key);
+        const result = await driver.click(key, {
+          timeoutMs: step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS,
+          frame,
+          followPopup: Boolean(context.followPopups)
+        });
+        output = { id: key, via: 'locator', frame };
+        if (result?.popup) {
+          output.popup = await handlePopup(result.popup, context);
+        }
       } catch (err) {
         const match = findInteractableByLabel(interactables, key);
         const pt = bboxCenter(match?.bbox);
         if (pt) {
-          await page.mouse.click(pt.x, pt.y, { timeout: 8000 });
+          await driver.mouse.click(pt.x, pt.y);
+          output = { id: key, via: 'bbox', point: pt, frame };
           break;
         }
         throw err;
       }
-      await locator.click({ timeout: 8000 });
       break;
     }
     case 'click_point': {
-      const point = await resolvePointAbs(step.args.point, page);
+      const point = await resolvePointAbs(step.args.point, driver);
       const button = step.args.button || 'left';
       const clickCount = step.args.clickCount || 1;
       if (!point) {
         throw new Error('click_point_missing_xy');
       }
-      await page.mouse.move(point.x, point.y);
+      await driver.mouse.move(point.x, point.y);
       for (let i = 0; i < clickCount; i++) {
-        await page.mouse.click(point.x, point.y, { button });
+        await driver.mouse.click(point.x, point.y, { button });
       }
+      output = { point };
       break;
     }
     case 'drag': {
       const { durationMs = 400 } = step.args;
-      const from = await resolvePointAbs(step.args.from, page);
-      const to = await resolvePointAbs(step.args.to, page);
+      const from = await resolvePointAbs(step.args.from, driver);
+      const to = await resolvePointAbs(step.args.to, driver);
       if (!from || !to) {
         // attempt bbox-based fallback if ids provided
         const fromMatch = findInteractableByLabel(interactables, step.args.fromId);
@@ -584,61 +805,185 @@ async function executeStep(step, context) {
         if (!fromPt || !toPt) {
           throw new Error('drag_missing_points');
         }
-        await page.mouse.move(fromPt.x, fromPt.y);
-        await page.mouse.down();
-        await page.mouse.move(toPt.x, toPt.y, { steps: 10 });
-        await page.waitForTimeout(Number(durationMs));
-        await page.mouse.up();
+        await driver.mouse.move(fromPt.x, fromPt.y);
+        await driver.mouse.down();
+        await driver.mouse.move(toPt.x, toPt.y, { steps: 10 });
+        await driver.wait(Number(durationMs));
+        await driver.mouse.up();
+        output = { from: fromPt, to: toPt, via: 'bbox' };
         break;
       }
-      await page.mouse.move(from.x, from.y);
-      await page.mouse.down();
-      await page.mouse.move(to.x, to.y, { steps: 10 });
-      await page.waitForTimeout(Number(durationMs));
-      await page.mouse.up();
+      await driver.mouse.move(from.x, from.y);
+      await driver.mouse.down();
+      await driver.mouse.move(to.x, to.y, { steps: 10 });
+      await driver.wait(Number(durationMs));
+      await driver.mouse.up();
+      output = { from, to };
       break;
     }
     case 'hotkey': {
       const keys = step.args.keys;
       if (!Array.isArray(keys) || !keys.length) throw new Error('hotkey_missing_keys');
       for (const key of keys) {
-        await page.keyboard.down(key);
+        await driver.keyboard.down(key);
       }
       for (const key of [...keys].reverse()) {
-        await page.keyboard.up(key);
+        await driver.keyboard.up(key);
       }
       break;
     }
     case 'long_press': {
-      const point = await resolvePointAbs(step.args.point, page);
+      const point = await resolvePointAbs(step.args.point, driver);
       const duration = Number(step.args.durationMs || 800);
       if (!point) {
-        const match = findInteractableByLabel(interactables, step.args.id || step.args.label);
+        const match = findInteractableByLabel(interactables, step.args.id);
         const pt = bboxCenter(match?.bbox);
         if (!pt) throw new Error('long_press_missing_xy');
-        await page.mouse.move(pt.x, pt.y);
-        await page.mouse.down();
-        await page.waitForTimeout(duration);
-        await page.mouse.up();
+        await driver.mouse.move(pt.x, pt.y);
+        await driver.mouse.down();
+        await driver.wait(duration);
+        await driver.mouse.up();
+        output = { point: pt, via: 'bbox' };
         break;
       }
-      await page.mouse.move(point.x, point.y);
-      await page.mouse.down();
-      await page.waitForTimeout(duration);
-      await page.mouse.up();
+      await driver.mouse.move(point.x, point.y);
+      await driver.mouse.down();
+      await driver.wait(duration);
+      await driver.mouse.up();
+      output = { point };
       break;
     }
     case 'type': {
       const { id, text } = step.args;
+      const frame = step.args.frame || undefined;
       if (!id) throw new Error('type_missing_id');
-      const locator = await resolveLocator(page, id);
-      await locator.fill(text ?? '', { timeout: 8000 });
+      await driver.fill(id, text ?? '', { timeoutMs: step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS, frame });
+      output = { id, length: String(text ?? '').length, frame };
+      break;
+    }
+    case 'select_option': {
+      const { id } = step.args;
+      const value = step.args.values;
+      if (!id) throw new Error('select_option_missing_id');
+      if (value === undefined || value === null) throw new Error('select_option_missing_value');
+      const selected = await driver.selectOption(id, value, {
+        timeoutMs: step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS,
+        frame: step.args.frame
+      });
+      output = { id, selected };
+      break;
+    }
+    case 'set_checked': {
+      const { id } = step.args;
+      if (!id) throw new Error('set_checked_missing_id');
+      const checked = toChecked(step.args.checked ?? true);
+      await driver.setChecked(id, checked, { timeoutMs: step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS, frame: step.args.frame });
+      output = { id, checked };
+      break;
+    }
+    case 'fill_form': {
+      const { fields } = step.args;
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw new Error('fill_form_missing_fields');
+      output = await fillForm(fields, context, step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS, rawArgs.fields);
+      if (logger) logger(`fill_form: ${output.filled.length} filled, ${output.missing.length} missing, ${output.failed.length} failed`);
+      if (!output.filled.length) {
+        const failure = new Error('fill_form_no_fields_filled');
+        failure.output = output;
+        throw failure;
+      }
       break;
     }
     case 'scroll': {
-      const baseDelta = Number(step.args.deltaY ?? step.args.y ?? (context.isMobile ? 250 : 500));
+      const baseDelta = Number(step.args.deltaY ?? (context.isMobile ? 250 : 500));
       const deltaY = context.isMobile ? baseDelta * 0.7 : baseDelta;
-      await page.mouse.wheel(0, deltaY);
+      const { id, frame } = step.args;
+      // the wheel scrolls whatever is under the cursor, so element/frame scrolling goes through the driver
+      if ((id || frame) && driver.scroll) {
+        await driver.scroll({ deltaY, id, frame });
+        output = { deltaY, id, frame };
+        break;
+      }
+      await driver.mouse.wheel(0, deltaY);
+      output = { deltaY };
+      break;
+    }
+    case 'block_requests': {
+      const resourceTypes = toList(step.args.resourceTypes);
+      const urlPatterns = toList(step.args.urlPatterns);
+      if (!resourceTypes.length && !urlPatterns.length) throw new Error('block_requests_missing_rules');
+      const { rules } = await driver.blockRequests({ resourceTypes, urlPatterns });
+      if (logger) logger(`blocking ${[...resourceTypes, ...urlPatterns].join(', ')}`);
+      output = { resourceTypes, urlPatterns, rules };
+      break;
+    }
+    case 'mock_response': {
+      const { urlPattern, status = 200, body = '', headers = {}, times } = step.args;
+      if (!urlPattern) throw new Error('mock_response_missing_url_pattern');
+      const { rules } = await driver.mockResponse({ urlPattern, status, body, headers, times });
+      if (logger) logger(`mocking ${urlPattern} -> ${status}`);
+      output = { urlPattern, status: Number(status), rules };
+      break;
+    }
+    case 'wait_for_response': {
+      const { urlPattern, status } = step.args;
+      if (!urlPattern) throw new Error('wait_for_response_missing_url_pattern');
+      const timeoutMs = Number(step.args.timeoutMs || step.timeoutMs || DEFAULT_RESPONSE_TIMEOUT_MS);
+      const res = await driver.waitForResponse({ urlPattern, status, timeoutMs, since: previousActionAt });
+      const text = String(res.body ?? '');
+      if (logger) logger(`response ${res.status} ${res.url}`);
+      output = {
+        url: res.url,
+        status: res.status,
+        ok: res.ok,
+        method: res.method,
+        headers: res.headers,
+        body: text.slice(0, MAX_OUTPUT_CHARS),
+        truncated: text.length > MAX_OUTPUT_CHARS
+      };
+      if (/json/i.test(res.headers?.['content-type'] || '')) {
+        try {
+          output.json = JSON.parse(text);
+        } catch (_) {
+          // leave body as text
+        }
+      }
+      break;
+    }
+    case 'list_tabs': {
+      const tabs = await driver.tabs();
+      output = { tabs, count: tabs.length };
+      break;
+    }
+    case 'new_tab': {
+      const { url } = step.args;
+      if (url) {
+        assertDomainAllowed(context, url);
+        const allowed = await confirmOriginChange(context.currentOrigin, url, confirmOriginChangeFn);
+        if (!allowed) throw new Error('origin_change_denied');
+      }
+      const tab = await driver.newTab(url, { timeoutMs: step.timeoutMs || undefined });
+      if (url) {
+        context.currentOrigin = originOf(tab.url);
+        if (cookieDismiss) await driver.dismissCookies(logger);
+      }
+      if (logger) logger(`new tab ${tab.id}${url ? ` -> ${tab.url}` : ''}`);
+      output = tab;
+      break;
+    }
+    case 'switch_tab': {
+      const key = step.args.tab;
+      if (key === undefined || key === null || key === '') throw new Error('switch_tab_missing_tab');
+      const tab = await driver.switchTab(key);
+      context.currentOrigin = originOf(tab.url) || context.currentOrigin;
+      if (logger) logger(`switched to tab ${tab.id} (${tab.url})`);
+      output = tab;
+      break;
+    }
+    case 'close_tab': {
+      const result = await driver.closeTab(step.args.tab);
+      if (result.active) context.currentOrigin = originOf(result.active.url) || context.currentOrigin;
+      if (logger) logger(`closed tab ${result.closed}`);
+      output = result;
       break;
     }
     case 'wait_for_idle': {
@@ -648,124 +993,926 @@ async function executeStep(step, context) {
       while (elapsed < timeoutMs) {
         assertNotKilled(killSignal);
         const slice = Math.min(chunk, timeoutMs - elapsed);
-        await page.waitForTimeout(slice);
+        await driver.wait(slice);
         elapsed += slice;
       }
       break;
     }
     case 'snapshot': {
-      const file = await takeSnapshot(page, artifactsDir);
+      const file = await takeSnapshot(driver, artifactsDir, context.fullPage !== false);
       if (logger) logger(`snapshot saved: ${file}`);
+      output = { path: file, url: await driver.url(), title: await driver.title() };
+      break;
+    }
+    case 'extract_text': {
+      const { id, selector } = step.args;
+      const maxChars = Number(step.args.maxChars || MAX_OUTPUT_CHARS);
+      const text = String((await driver.text({ id, selector })) ?? '').trim();
+      if (logger) logger(`extract_text ${selector || id || 'page'} (${text.length} chars)`);
+      output = { text: text.slice(0, maxChars), length: text.length, truncated: text.length > maxChars };
+      break;
+    }
+    case 'extract_table': {
+      const { id, selector } = step.args;
+      const tables = (await driver.tables({ id, selector })).map(tableToRecords);
+      if (logger) logger(`extract_table ${selector || id || 'page'} (${tables.length} table(s))`);
+      if (step.args.all) {
+        output = { tables, count: tables.length };
+        break;
+      }
+      const index = Number(step.args.index || 0);
+      if (!tables[index]) throw new Error(tables.length ? 'extract_table_index_out_of_range' : 'extract_table_not_found');
+      output = { ...tables[index], index, count: tables.length };
+      break;
+    }
+    case 'extract_schema': {
+      const { id, selector, instructions } = step.args;
+      const schema = typeof step.args.schema === 'string' ? context.schemas?.[step.args.schema] : step.args.schema;
+      if (!schema) throw new Error('extract_schema_unknown_schema');
+      // page text goes to the LLM, so any secret value shown on the page is masked first
+      const content = redactSecrets(await driver.text({ id, selector }), context.secrets);
+      const result = await extractStructured({ schema, content, instructions }, context.plannerOptions || {});
+      if (result.error) {
+        const failure = new Error(result.error);
+        failure.output = { details: result.details ?? null, raw: result.raw ?? null };
+        throw failure;
+      }
+      if (logger) logger(`extract_schema ${typeof step.args.schema === 'string' ? step.args.schema : 'inline'} ok`);
+      output = { data: result.data };
       break;
     }
     case 'fetch': {
       const url = step.args.url;
       if (!url) throw new Error('fetch_missing_url');
+      assertDomainAllowed(context, url);
       const method = (step.args.method || 'GET').toUpperCase();
-      const init = {
+      let init = {
         method,
         headers: step.args.headers || {},
         body: step.args.body
       };
-      const res = await fetch(url, init);
+      // redirects are followed by hand so every hop goes through the domain fence, not just the first url
+      let current = url;
+      let res;
+      for (let hop = 0; ; hop++) {
+        res = await fetch(current, { ...init, redirect: 'manual' });
+        const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+        if (!location) break;
+        if (hop >= MAX_FETCH_REDIRECTS) throw new Error('fetch_too_many_redirects');
+        const next = new URL(location, current).href;
+        assertDomainAllowed(context, next);
+        await res.body?.cancel();
+        // same rules as fetch's own redirect handling: 303 (and 301/302 after POST) become a GET, and
+        // credentials are not forwarded to another origin
+        if (res.status === 303 || ((res.status === 301 || res.status === 302) && init.method === 'POST')) {
+          init = { ...init, method: 'GET', body: undefined };
+        }
+        if (originOf(next) !== originOf(current)) {
+          init = {
+            ...init,
+            headers: Object.fromEntries(Object.entries(init.headers).filter(([k]) => !/^(authorization|cookie)$/i.test(k)))
+          };
+        }
+        current = next;
+      }
       const text = await res.text();
-      const preview = text.slice(0, 400);
-      if (logger) logger(`fetch ${method} ${url} -> ${res.status} (${preview.length} chars preview)`);
+      if (logger) logger(`fetch ${method} ${url} -> ${res.status}${current !== url ? ` via ${current}` : ''} (${text.length} chars)`);
+      output = {
+        status: res.status,
+        ok: res.ok,
+        url: current,
+        headers: Object.fromEntries(res.headers.entries()),
+        body: text.slice(0, MAX_OUTPUT_CHARS),
+        truncated: text.length > MAX_OUTPUT_CHARS
+      };
+      if (/json/i.test(res.headers.get('content-type') || '')) {
+        try {
+          output.json = JSON.parse(text);
+        } catch (_) {
+          // leave body as text
+        }
+      }
       break;
     }
     case 'read_file': {
-      const targetPath = resolveSandboxPath(context.workspaceRoot, step.args.path);
       const encoding = step.args.encoding || 'utf8';
-      if (!targetPath) throw new Error('read_file_missing_path');
-      const content = fs.readFileSync(targetPath, encoding);
-      if (logger) logger(`read_file ${targetPath} (${content.length} chars)`);
+      if (!step.args.path) throw new Error('read_file_missing_path');
+      const { file, buffer } = context.files.read(step.tool, step.args.path);
+      const content = buffer.toString(encoding);
+      if (logger) logger(`read_file ${file} (${content.length} chars)`);
+      output = {
+        path: file,
+        content: content.slice(0, MAX_OUTPUT_CHARS),
+        bytes: buffer.length,
+        truncated: content.length > MAX_OUTPUT_CHARS
+      };
       break;
     }
     case 'write_file': {
-      const targetPath = resolveSandboxPath(context.workspaceRoot, step.args.path);
       const content = step.args.content ?? '';
       const encoding = step.args.encoding || 'utf8';
-      if (!targetPath) throw new Error('write_file_missing_path');
+      if (!step.args.path) throw new Error('write_file_missing_path');
+      const buffer = Buffer.from(String(content), encoding);
+      const { file } = context.files.write(step.tool, step.args.path, buffer);
+      if (logger) logger(`write_file ${file} (${String(content).length} chars)`);
+      output = { path: file, bytes: buffer.length };
+      break;
+    }
+    case 'upload': {
+      const { id } = step.args;
+      if (!id) throw new Error('upload_missing_id');
+      if (!step.args.path) throw new Error('upload_missing_path');
+      const targetPath = context.files.resolve(step.tool, 'read', step.args.path);
+      if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isFile()) throw new Error('upload_file_not_found');
+      // the browser reads the file, so it counts against the read quota
+      const { size } = fs.statSync(targetPath);
+      context.files.charge(step.tool, 'read', size, targetPath);
+      await driver.upload(id, targetPath, { timeoutMs: step.timeoutMs || DEFAULT_ACTION_TIMEOUT_MS, frame: step.args.frame });
+      context.files.record(step.tool, 'read', targetPath, fs.readFileSync(targetPath));
+      if (logger) logger(`upload ${targetPath} -> ${id} (${size} bytes)`);
+      output = { id, path: targetPath, bytes: size };
+      break;
+    }
+    case 'wait_for_download': {
+      const timeoutMs = Number(step.args.timeoutMs || step.timeoutMs || DEFAULT_DOWNLOAD_TIMEOUT_MS);
+      const download = await driver.waitForDownload({ timeoutMs });
+      // without saveAs the browser's suggested name is kept, reduced to a bare file name
+      const fallbackName = path.basename(String(download.suggestedFilename || '')) || `download-${Date.now()}`;
+      const targetPath = context.files.resolve(step.tool, 'write', step.args.saveAs || path.join(DOWNLOADS_DIR, fallbackName));
+      if (fs.existsSync(targetPath) && step.args.overwrite !== true) {
+        const exists = new Error('download_target_exists');
+        exists.details = { path: targetPath };
+        throw exists;
+      }
       ensureDir(path.dirname(targetPath));
-      fs.writeFileSync(targetPath, content, { encoding });
-      if (logger) logger(`write_file ${targetPath} (${String(content).length} chars)`);
+      // the size is only known once saved, so the download lands next to the target and is only moved into
+      // place once the quota has been charged; a failed or over-quota download never touches an existing file
+      const partPath = `${targetPath}.${process.pid}-${Date.now()}.part`;
+      let content;
+      try {
+        await download.saveAs(partPath);
+        content = fs.readFileSync(partPath);
+        context.files.charge(step.tool, 'write', content.length, targetPath);
+        fs.renameSync(partPath, targetPath);
+      } catch (err) {
+        fs.rmSync(partPath, { force: true });
+        throw err;
+      }
+      context.files.record(step.tool, 'write', targetPath, content);
+      const digest = sha256(content);
+      if (logger) logger(`download ${download.url} -> ${targetPath} (${content.length} bytes, sha256 ${digest.slice(0, 12)})`);
+      output = {
+        path: targetPath,
+        bytes: content.length,
+        sha256: digest,
+        url: download.url,
+        suggestedFilename: download.suggestedFilename
+      };
       break;
     }
     case 'shell': {
       const cmd = step.args.cmd;
-      const timeoutMs = Number(step.args.timeoutMs || 15000);
       if (!cmd) throw new Error('shell_missing_cmd');
-      await new Promise((resolve, reject) => {
-        const child = exec(cmd, { timeout: timeoutMs, cwd: context.workspaceRoot }, (error, stdout, stderr) => {
-          if (logger) {
-            if (stdout) logger(`shell stdout: ${stdout.slice(0, 800)}`);
-            if (stderr) logger(`shell stderr: ${stderr.slice(0, 400)}`);
-          }
-          if (error) {
-            reject(new Error(`shell_failed:${error.code ?? 'err'}`));
-          } else {
-            resolve();
-          }
-        });
-        child.on('error', reject);
+      const res = await runShell(cmd, {
+        cwd: context.workspaceRoot,
+        policy: context.shellSandbox,
+        timeoutMs: Number(step.args.timeoutMs) || undefined,
+        logger
       });
+      if (logger) {
+        if (res.stdout) logger(`shell stdout: ${res.stdout.slice(0, 800)}`);
+        if (res.stderr) logger(`shell stderr: ${res.stderr.slice(0, 400)}`);
+      }
+      const result = {
+        stdout: res.stdout.slice(0, MAX_OUTPUT_CHARS),
+        stderr: res.stderr.slice(0, MAX_OUTPUT_CHARS),
+        exitCode: res.exitCode,
+        signal: res.signal,
+        timedOut: res.timedOut,
+        truncated: res.truncated,
+        sandbox: res.sandbox,
+        network: res.network
+      };
+      if (res.exitCode !== 0) {
+        // keep the captured output on the failed step so the planner can see why
+        const failure = new Error(`shell_failed:${res.timedOut ? 'timeout' : res.exitCode ?? res.signal ?? 'err'}`);
+        failure.output = result;
+        throw failure;
+      }
+      output = result;
       break;
     }
     default:
       throw new Error(`unsupported_tool_${step.tool}`);
   }
+  return output;
+}
+
+// header cells become keys; unnamed or missing headers fall back to col<N>
+function tableToRecords({ headers = [], rows = [] }) {
+  if (!headers.length) return { headers, rows };
+  const keys = headers.map((h, i) => h || `col${i + 1}`);
+  return {
+    headers,
+    rows: rows.map((cells) => Object.fromEntries(cells.map((cell, i) => [keys[i] || `col${i + 1}`, cell])))
+  };
+}
+
+function expectTarget(value) {
+  // CSS-looking values are selectors; anything else goes through the same id/label lookup as click
+  return /^[#.[]|>/.test(value) ? { selector: value } : { id: value };
+}
+
+function matchesUrl(actual, expected) {
+  const re = expected.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) return new RegExp(re[1], re[2]).test(actual);
+  return actual.includes(expected);
+}
+
+async function evaluateExpectations(expect, output, driver) {
+  const checks = [];
+  if (expect.url !== undefined) {
+    const actual = await driver.url();
+    checks.push({ type: 'url', expected: expect.url, actual, passed: matchesUrl(actual, expect.url) });
+  }
+  if (expect.title !== undefined) {
+    const actual = await driver.title();
+    checks.push({ type: 'title', expected: expect.title, actual, passed: actual.toLowerCase().includes(expect.title.toLowerCase()) });
+  }
+  if (expect.visible !== undefined) {
+    const actual = await driver.isVisible(expectTarget(expect.visible));
+    checks.push({ type: 'visible', expected: expect.visible, actual, passed: actual });
+  }
+  if (expect.hidden !== undefined) {
+    const actual = !(await driver.isVisible(expectTarget(expect.hidden)));
+    checks.push({ type: 'hidden', expected: expect.hidden, actual, passed: actual });
+  }
+  if (expect.text !== undefined) {
+    const pageText = String((await driver.text({}).catch(() => '')) ?? '');
+    const passed = pageText.toLowerCase().includes(expect.text.toLowerCase());
+    checks.push({ type: 'text', expected: expect.text, actual: passed, passed });
+  }
+  if (expect.status !== undefined) {
+    const actual = output?.status ?? null;
+    checks.push({ type: 'status', expected: expect.status, actual, passed: actual === Number(expect.status) });
+  }
+  return { passed: checks.every((c) => c.passed), checks };
+}
+
+// Re-check until the expectations hold or timeoutMs passes (pages settle after clicks/navigation).
+async function checkExpectations(expect, output, context) {
+  const timeoutMs = Number(expect.timeoutMs ?? DEFAULT_EXPECT_TIMEOUT_MS);
+  const deadline = Date.now() + timeoutMs;
+  let result = await evaluateExpectations(expect, output, context.driver);
+  while (!result.passed && Date.now() < deadline) {
+    assertNotKilled(context.killSignal);
+    await context.driver.wait(EXPECT_POLL_MS);
+    result = await evaluateExpectations(expect, output, context.driver);
+  }
+  return result;
+}
+
+function logLlmRaw(onUpdate, llmRaw, llmLog) {
+  if (!llmRaw || llmLog === 'off') return;
+  if (llmLog === 'full') {
+    onUpdate(kleur.gray(`LLM raw response: ${llmRaw}`));
+  } else {
+    const snippet = llmRaw.length > 600 ? `${llmRaw.slice(0, 600)}…` : llmRaw;
+    onUpdate(kleur.gray(`LLM raw response: ${snippet}`));
+  }
+}
+
+function writeStepLog(artifactsDir, stepResults, onUpdate) {
+  try {
+    ensureDir(artifactsDir);
+    const outPath = path.join(artifactsDir, 'step-log.json');
+    fs.writeFileSync(outPath, JSON.stringify(stepResults, null, 2));
+    logStructured(onUpdate, 'steps_logged', 'Wrote step log', { path: outPath });
+  } catch (_) {
+    // ignore logging failures
+  }
+}
+
+function writeExtractions(artifactsDir, stepResults, onUpdate) {
+  const extractions = stepResults
+    .filter((r) => r.status === 'ok' && EXTRACTION_TOOLS.includes(r.tool))
+    .map((r) => ({ idx: r.idx, tool: r.tool, name: r.args?.name || null, output: r.output }));
+  if (!extractions.length) return extractions;
+  try {
+    ensureDir(artifactsDir);
+    const outPath = path.join(artifactsDir, 'extractions.json');
+    fs.writeFileSync(outPath, JSON.stringify(extractions, null, 2));
+    logStructured(onUpdate, 'extractions_logged', 'Wrote extractions', { path: outPath, count: extractions.length });
+  } catch (_) {
+    // ignore logging failures
+  }
+  return extractions;
+}
+
+function lookupStepValue(stepResults, idx, pathSuffix, raw) {
+  const record = stepResults[Number(idx)];
+  if (!record) throw new Error(`template_unresolved:${raw}`);
+  let value = record;
+  for (const key of pathSuffix.split('.').filter(Boolean)) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      throw new Error(`template_unresolved:${raw}`);
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+// Replace {{steps.N.output.field}} placeholders (N is the 0-based step idx of this run).
+// A string that is exactly one placeholder takes the referenced value as-is; otherwise it is interpolated.
+export function resolveStepTemplates(value, stepResults) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*steps\.(\d+)((?:\.[\w-]+)*)\s*\}\}$/);
+    if (whole) return lookupStepValue(stepResults, whole[1], whole[2], value);
+    return value.replace(STEP_TEMPLATE_RE, (raw, idx, pathSuffix) => {
+      const resolved = lookupStepValue(stepResults, idx, pathSuffix, raw);
+      if (resolved === null || resolved === undefined) return '';
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveStepTemplates(v, stepResults));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveStepTemplates(v, stepResults)]));
+  }
+  return value;
+}
+
+function withTimeout(promise, ms, message) {
+  if (!ms) return promise;
+  let timer;
+  const expiry = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, expiry]).finally(() => clearTimeout(timer));
+}
+
+// Step fields win over the profile's step_* / on_error defaults; fallbackOnError applies when neither sets one.
+function resolveStepPolicy(step, profile = {}, fallbackOnError = 'abort') {
+  const retry = step.retry || {};
+  const onError = [step.on_error, profile.on_error].find((v) => ON_ERROR_ACTIONS.includes(v));
+  return {
+    retries: Math.max(0, Number(retry.count ?? profile.step_retry ?? 0) || 0),
+    backoffMs: Math.max(0, Number(retry.backoffMs ?? profile.step_backoff_ms ?? DEFAULT_RETRY_BACKOFF_MS) || 0),
+    timeoutMs: Number(step.timeoutMs ?? profile.step_timeout_ms) || null,
+    onError: onError || fallbackOnError
+  };
+}
+
+// Profile-wide request rules, installed before the first navigation. A blocklist the driver cannot enforce
+// (agent-browser) fails the run rather than browsing unfiltered; the domain fence is routed where the driver can
+// refuse requests (playwright/cdp), and every driver still has the page url checked after each step.
+// Returns a policy_error detail, or null.
+async function applyRequestPolicies(driver, guardrails, domainPolicy, onUpdate) {
+  const blocklist = guardrails.profile?.block_requests || {};
+  const blockTypes = toList(blocklist.resource_types);
+  const blockPatterns = toList(blocklist.url_patterns);
+  if (blockTypes.length || blockPatterns.length) {
+    try {
+      await driver.blockRequests({ resourceTypes: blockTypes, urlPatterns: blockPatterns });
+      onUpdate(kleur.gray(`Profile blocklist: ${[...blockTypes, ...blockPatterns].join(', ')}`));
+    } catch (err) {
+      onUpdate(kleur.red(`Profile blocklist cannot be applied by the ${driver.name} driver (${err.message})`));
+      return { error: err.message, details: { driver: driver.name, profile: guardrails.profileName, block_requests: blocklist } };
+    }
+  }
+  if (domainPolicy.active) {
+    if (driver.fenceRequests) await driver.fenceRequests((url) => domainPolicy.check(url));
+    else onUpdate(kleur.yellow(`The ${driver.name} driver cannot refuse requests outside the domain fence; only page urls are checked.`));
+  }
+  return null;
+}
+
+function isPolicyViolation(error) {
+  return POLICY_VIOLATIONS.some((re) => re.test(String(error)));
+}
+
+function policyBlockDetail(record) {
+  return { error: record.error, details: { step: record.idx, tool: record.tool, ...record.details } };
+}
+
+function isRetryable(error) {
+  return !NON_RETRYABLE_ERRORS.some((re) => re.test(String(error)));
+}
+
+// execContext.approval for gateStep; validate() re-checks an edited step against the profile
+function approvalPolicy(guardrails, toolCatalog, approveStep) {
+  const profile = guardrails.profile || {};
+  return {
+    level: profile.autonomy_level || 'assisted',
+    tools: profile.approval_tools || [],
+    approveStep,
+    catalog: toolCatalog,
+    maxRisk: profile.max_risk_without_approval,
+    validate: (step) => validatePlanAgainst({ steps: [step] }, { ...profile, max_steps: 0 }, toolCatalog)
+  };
+}
+
+// Why a step must wait for a human under the profile's autonomy_level: assisted gates every step,
+// semi_auto only high-risk or low-confidence ones, auto only policy triggers (approval_tools).
+function approvalReasons(step, approval) {
+  const reasons = [];
+  if (approval.tools.includes(step.tool)) reasons.push('approval_tool');
+  if (approval.maxRisk && riskRank(effectiveRisk(step, approval.catalog)) > riskRank(approval.maxRisk)) {
+    reasons.push('risk_above_threshold');
+  }
+  if (approval.level === 'assisted') reasons.push('assisted');
+  if (approval.level === 'semi_auto') {
+    if (effectiveRisk(step, approval.catalog) === 'high') reasons.push('high_risk');
+    if (Number.isFinite(step.confidence) && step.confidence < APPROVAL_MIN_CONFIDENCE) reasons.push('low_confidence');
+  }
+  return reasons;
+}
+
+// Asks execContext.approval.approveStep before a gated step. Resolves to { step } (possibly edited) to run it,
+// or { record, action } for a skipped step ('continue') or an aborted run ('rejected'). No approver means abort.
+async function gateStep(step, idx, total, { execContext, onUpdate }) {
+  const approval = execContext.approval;
+  const reasons = approval ? approvalReasons(step, approval) : [];
+  if (!reasons.length) return { step };
+  const answer = approval.approveStep
+    ? await approval.approveStep({ step, idx, total, reasons, autonomyLevel: approval.level })
+    : 'abort';
+  const decision = typeof answer === 'string' ? answer : answer?.action;
+  logStructured(onUpdate, 'step_approval', decision || 'abort', { idx, tool: step.tool, reasons });
+  if (decision === 'approve') return { step, approval: { reasons, decision } };
+  if (decision === 'edit' && answer.step?.tool) {
+    const edited = { ...step, ...answer.step, args: answer.step.args || {} };
+    const policyCheck = approval.validate(edited);
+    if (policyCheck.error) {
+      const details = { ...policyCheck.details, step: idx };
+      const record = { idx, tool: edited.tool, args: edited.args, status: 'error', error: policyCheck.error, details };
+      return { record, action: 'policy_block' };
+    }
+    onUpdate(kleur.gray(`Step ${idx + 1} edited: ${formatStep(edited, idx)}`));
+    return { step: edited, approval: { reasons, decision, original: { tool: step.tool, args: step.args } } };
+  }
+  const record = { idx, tool: step.tool, args: step.args, approval: { reasons, decision: decision === 'skip' ? 'skip' : 'abort' } };
+  if (decision === 'skip') {
+    onUpdate(kleur.yellow(`Step ${idx + 1} skipped by approver`));
+    return { record: { ...record, status: 'skipped' }, action: 'continue' };
+  }
+  onUpdate(kleur.red(`Step ${idx + 1} rejected${approval.approveStep ? '' : ' (no approveStep callback to ask)'}`));
+  return { record: { ...record, status: 'rejected' }, action: 'rejected' };
+}
+
+// A captcha / verification interstitial, judged by URL, then by the title and snapshot text; null when clear.
+async function detectBlocker(driver) {
+  const url = await driver.url().catch(() => '');
+  if (CAPTCHA_URL_RE.test(url)) return { kind: 'captcha', url, reason: 'captcha_url' };
+  const title = await driver.title().catch(() => '');
+  const { interactables = [], text = '' } = await driver.snapshot().catch(() => ({}));
+  const pageText = [title, text, ...interactables.map((el) => el.name || el.label || '')].join('\n');
+  const match = pageText.match(CAPTCHA_TEXT_RE);
+  return match ? { kind: 'captcha', url, reason: match[0].toLowerCase() } : null;
+}
+
+// After a page-changing step, hands a detected blocker to execContext.onBlocker, which answers 'retry' (a human or
+// the caller cleared it: check again), 'continue' (go on regardless) or 'abort'. Resolves to the blocker that ends
+// the run, or null. Nothing here tries to solve a captcha; the hook only gets a screenshot and a pointer.
+async function resolveBlocker(step, idx, record, { execContext, onUpdate }) {
+  const { driver, onBlocker } = execContext;
+  if (!onBlocker || !driver || !BLOCKER_CHECK_TOOLS.includes(step.tool)) return null;
+  const page = {
+    screenshot: (file) => driver.screenshot({ path: file, fullPage: execContext.fullPage !== false }),
+    click: (x, y) => driver.mouse.click(x, y),
+    wheel: (deltaY) => driver.mouse.wheel(0, deltaY)
+  };
+  for (let attempt = 1; attempt <= MAX_BLOCKER_ATTEMPTS; attempt++) {
+    const blocker = await detectBlocker(driver);
+    if (!blocker) return null;
+    onUpdate(kleur.yellow(`Step ${idx + 1}: ${blocker.kind} detected (${blocker.reason}) at ${blocker.url}`));
+    const answer = await onBlocker({ step, idx, blocker, attempt, page });
+    const decision = ['retry', 'continue'].includes(answer) ? answer : 'abort';
+    logStructured(onUpdate, 'step_blocker', decision, { idx, ...blocker, attempt });
+    record.blocker = { ...blocker, decision, attempts: attempt };
+    if (decision === 'continue') return null;
+    if (decision === 'abort') return blocker;
+  }
+  const blocker = await detectBlocker(driver);
+  if (!blocker) delete record.blocker;
+  return blocker;
+}
+
+// Runs a step with retries/backoff, then maps a final failure to an on_error action:
+// null (step ok), 'continue', 'replan' or 'abort'. ask_human defers to onStepError (abort without one).
+// Gated steps first go through gateStep, which may also return 'rejected' or 'policy_block'; a step that leaves
+// the page on an unresolved captcha returns 'blocked'. A dry run records acting steps as skipped without running them.
+async function runStepWithPolicy(originalStep, idx, total, { execContext, onUpdate, stepResults, policy, onStepError }) {
+  // below min_confidence the step is not run; the planner gets a fresh look at the page instead
+  const minConfidence = Number(execContext.minConfidence) || 0;
+  if (minConfidence && Number.isFinite(originalStep.confidence) && originalStep.confidence < minConfidence) {
+    onUpdate(kleur.yellow(`Step ${idx + 1} confidence ${originalStep.confidence} is below ${minConfidence}; asking the planner again`));
+    logStructured(onUpdate, 'step_recovery', 'replan', { idx, error: 'low_confidence', confidence: originalStep.confidence });
+    const record = { idx, tool: originalStep.tool, args: originalStep.args, status: 'skipped', reason: 'low_confidence', confidence: originalStep.confidence };
+    return { record, action: 'replan' };
+  }
+  if (execContext.dryRun && !DRY_RUN_TOOLS.includes(originalStep.tool)) {
+    onUpdate(kleur.gray(`Step ${idx + 1} (${originalStep.tool}) not run: dry run`));
+    logStructured(onUpdate, 'step_skipped', originalStep.tool, { idx, reason: 'dry_run' });
+    return { record: { idx, tool: originalStep.tool, args: originalStep.args, status: 'skipped', reason: 'dry_run' }, action: null };
+  }
+  const gate = await gateStep(originalStep, idx, total, { execContext, onUpdate });
+  if (gate.record) return { record: gate.record, action: gate.action };
+  const { step } = gate;
+  let attempts = 0;
+  for (;;) {
+    attempts += 1;
+    const record = await runStep(step, idx, total, execContext, onUpdate, stepResults, policy.timeoutMs);
+    record.attempts = attempts;
+    if (gate.approval) record.approval = gate.approval;
+    if (record.status === 'ok') {
+      const blocker = await resolveBlocker(step, idx, record, { execContext, onUpdate });
+      return { record, action: blocker ? 'blocked' : null };
+    }
+    // a guardrail violation ends the run whatever the step's on_error says
+    if (isPolicyViolation(record.error)) {
+      record.on_error = 'policy_block';
+      logStructured(onUpdate, 'step_recovery', 'policy_block', { idx, error: record.error, details: record.details });
+      return { record, action: 'policy_block' };
+    }
+    if (attempts <= policy.retries && isRetryable(record.error)) {
+      const delay = policy.backoffMs * 2 ** (attempts - 1);
+      onUpdate(kleur.yellow(`Step ${idx + 1} failed (${record.error}); retry ${attempts}/${policy.retries} in ${delay}ms`));
+      await sleep(delay);
+      continue;
+    }
+    let action = policy.onError;
+    if (action === 'ask_human') {
+      action = onStepError ? await onStepError({ step, idx, record }) : 'abort';
+      if (action === 'retry') continue;
+      if (!['continue', 'replan', 'abort'].includes(action)) action = 'abort';
+    }
+    record.on_error = action;
+    logStructured(onUpdate, 'step_recovery', action, { idx, error: record.error, attempts });
+    return { record, action };
+  }
+}
+
+function traceChunkPath(artifactsDir, idx, tool) {
+  const dir = path.join(artifactsDir, 'playwright-trace');
+  ensureDir(dir);
+  let file = path.join(dir, `step-${idx}-${tool}.zip`);
+  // retries of the same step get their own chunk
+  for (let n = 2; fs.existsSync(file); n++) file = path.join(dir, `step-${idx}-${tool}-${n}.zip`);
+  return file;
+}
+
+// With Playwright tracing on, every step attempt is recorded as its own trace chunk.
+async function runStep(step, idx, total, execContext, onUpdate, stepResults = [], timeoutMs = null) {
+  const tracing = execContext.driver?.tracing;
+  if (!tracing) return runStepOnce(step, idx, total, execContext, onUpdate, stepResults, timeoutMs);
+  let started = false;
+  try {
+    await tracing.startChunk(`${idx + 1}. ${step.tool}`);
+    started = true;
+  } catch (err) {
+    onUpdate(kleur.yellow(`Trace chunk not started: ${err.message}`));
+  }
+  let record;
+  try {
+    record = await runStepOnce(step, idx, total, execContext, onUpdate, stepResults, timeoutMs);
+  } finally {
+    if (started) {
+      const file = traceChunkPath(execContext.artifactsDir, idx, step.tool);
+      try {
+        await tracing.stopChunk(file);
+        if (record) record.playwrightTrace = file;
+      } catch (err) {
+        onUpdate(kleur.yellow(`Trace chunk not saved: ${err.message}`));
+      }
+    }
+  }
+  return record;
+}
+
+async function runStepOnce(step, idx, total, execContext, onUpdate, stepResults, timeoutMs) {
+  if (execContext.killSignal?.aborted) {
+    throw new Error('killed');
+  }
+  onUpdate(kleur.yellow(`Executing step ${idx + 1}/${total}: ${step.tool}`));
+  logStructured(onUpdate, 'step_start', step.tool, { idx, args: step.args });
+  const t0 = Date.now();
+  const record = { idx, tool: step.tool, args: step.args, startedAt: t0 };
+  // kept so a replay of this record is gated on the same risk and confidence
+  if (step.estimated_risk !== undefined) record.estimated_risk = step.estimated_risk;
+  if (Number.isFinite(step.confidence)) record.confidence = step.confidence;
+  let output;
+  try {
+    const args = resolveStepTemplates(step.args || {}, stepResults);
+    if (JSON.stringify(args) !== JSON.stringify(step.args || {})) record.resolvedArgs = args;
+    output = await withTimeout(executeStep({ ...step, args, timeoutMs }, execContext), timeoutMs, 'step_timeout');
+    if (step.expect && execContext.driver) {
+      record.expect = await checkExpectations(step.expect, output, execContext);
+      if (!record.expect.passed) {
+        const failed = record.expect.checks.filter((c) => !c.passed).map((c) => c.type);
+        onUpdate(kleur.red(`Expectation failed for step ${idx + 1}: ${failed.join(', ')}`));
+        const failure = new Error('expectation_failed');
+        failure.output = output;
+        throw failure;
+      }
+    }
+  } catch (err) {
+    if (err.message === 'killed') throw err;
+    const ms = Date.now() - t0;
+    logStructured(onUpdate, 'step_end', step.tool, { idx, status: 'error', error: err.message, ms });
+    const failed = { ...record, status: 'error', ms, error: err.message, output: err.output || null };
+    if (err.details) failed.details = err.details;
+    return redactSecrets(failed, execContext.secrets);
+  }
+  const ms = Date.now() - t0;
+  logStructured(onUpdate, 'step_end', step.tool, { idx, status: 'ok', ms, expect: record.expect?.passed });
+  // records feed the step log, trace, planner history and templates, so secret values never leave this point
+  return redactSecrets({ ...record, status: 'ok', ms, output }, execContext.secrets);
+}
+
+// Closed-loop mode: run a batch, re-snapshot, and let the planner continue/replan/finish.
+// The profile's max_steps bounds executed steps across all iterations.
+async function runClosedLoop({
+  goal,
+  plan,
+  driver,
+  execContext,
+  guardrails,
+  toolCatalog,
+  capabilityProfile,
+  plannerOptions,
+  confirmPlan,
+  batchSize,
+  llmLog,
+  onUpdate,
+  logger,
+  stepResults,
+  onStepError,
+  trace,
+  observeFirst = false
+}) {
+  const maxSteps = Number(guardrails.profile?.max_steps) || plan.steps.length;
+  const batch = Math.max(1, Number(batchSize) || 1);
+  let queue = [...plan.steps];
+  let iterations = 0;
+  // observeFirst: a plan-mode step asked for a replan, so go straight to the planner
+  let skipBatch = observeFirst;
+
+  while (queue.length || skipBatch) {
+    const budget = maxSteps - stepResults.length;
+    const current = skipBatch ? [] : queue.splice(0, Math.min(batch, budget));
+    skipBatch = false;
+    for (const [pos, step] of current.entries()) {
+      const policy = resolveStepPolicy(step, guardrails.profile, 'replan');
+      const { record, action } = await runStepWithPolicy(step, stepResults.length, maxSteps, {
+        execContext,
+        onUpdate,
+        stepResults,
+        policy,
+        onStepError
+      });
+      stepResults.push(record);
+      if (action === 'policy_block') {
+        onUpdate(kleur.red(`Step ${record.idx + 1} blocked by guardrails: ${record.error}`));
+        return { status: 'policy_block', iterations, detail: policyBlockDetail(record) };
+      }
+      if (action === 'rejected') {
+        return { status: 'rejected_by_user', iterations, detail: { step: record.idx, reasons: record.approval.reasons } };
+      }
+      if (action === 'blocked') {
+        return { status: 'blocked', iterations, detail: { step: record.idx, blocker: record.blocker } };
+      }
+      if (action === 'abort') {
+        return { status: 'failed', error: record.error, iterations };
+      }
+      if (action === 'replan') {
+        // leave the unexecuted part of the batch for the planner to keep or replace
+        queue = [...current.slice(pos + 1), ...queue];
+        break;
+      }
+    }
+
+    iterations += 1;
+    onUpdate(kleur.cyan(`Observing page after ${stepResults.length} step(s) (iteration ${iterations})`));
+    const snapshot = await collectSnapshot(driver);
+    execContext.interactables = snapshot.page.interactables;
+    const plannerInput = {
+      goal,
+      context: { ...snapshot, page: redactSecrets(snapshot.page, execContext.secrets) },
+      capability_profile: capabilityProfile,
+      tool_catalog: toolCatalog,
+      history: stepResults,
+      remaining_steps: queue
+    };
+    const planResult = await planGoal(plannerInput, plannerOptions);
+    trace?.addPlan({ source: 'replan', iteration: iterations, input: plannerInput, result: planResult });
+    if (planResult.error) {
+      onUpdate(kleur.red(`Planner error during replan (${planResult.error})`));
+      return { status: 'planner_error', iterations, detail: planResult };
+    }
+    logLlmRaw(onUpdate, planResult.raw, llmLog);
+
+    const next = planResult.plan;
+    const decision = next.status || 'replan';
+    logStructured(onUpdate, 'loop_decision', decision, { iteration: iterations, plan_id: next.plan_id, steps: next.steps.length });
+    if (decision === 'done') {
+      onUpdate(kleur.green(`Planner reports goal done: ${next.reasoning_summary}`));
+      return { status: 'ok', iterations };
+    }
+    if (stepResults.length >= maxSteps) {
+      onUpdate(kleur.yellow(`Step budget exhausted (${maxSteps} steps) before the goal was reported done.`));
+      return { status: 'budget_exhausted', iterations };
+    }
+    if (decision === 'continue' && queue.length) continue;
+    if (!next.steps.length) {
+      onUpdate(kleur.yellow('Planner returned no further steps.'));
+      break;
+    }
+
+    const replanned = applyCatalogRisk(await normalizeCoordinates(next, driver, logger), toolCatalog);
+    const policyCheck = validatePlanAgainst(replanned, guardrails.profile, toolCatalog);
+    if (policyCheck.error) {
+      onUpdate(kleur.red(`Replan blocked by guardrails: ${policyCheck.error}`));
+      return { status: 'policy_block', iterations, detail: policyCheck };
+    }
+    onUpdate(kleur.green('Replanned steps:'));
+    replanned.steps.forEach((step, idx) => onUpdate(formatStep(step, stepResults.length + idx)));
+    const approved = await confirmPlan(replanned);
+    if (!approved) {
+      return { status: 'rejected_by_user', iterations };
+    }
+    queue = [...replanned.steps];
+  }
+
+  return { status: 'incomplete', iterations };
+}
+
+// Search-and-snapshot plan for a goal, used when the planner's answer fails the schema (and by stub-plan runs).
+export function fallbackSearchPlan(goal, autonomyLevel = 'assisted') {
+  const queryMatch = goal.match(/search\s+(.+?)(,|$)/i);
+  const query = encodeURIComponent(queryMatch ? queryMatch[1].trim() : goal.trim());
+  const searchUrl = `https://duckduckgo.com/?q=${query}`;
+  return {
+    plan_id: `fallback-${Date.now()}`,
+    autonomy_level: autonomyLevel || 'assisted',
+    reasoning_summary: 'Fallback web search plan due to planner schema failure',
+    steps: [
+      { tool: 'navigate', args: { url: searchUrl }, explanation: 'open search page', estimated_risk: 'medium', confidence: 0.8 },
+      { tool: 'wait_for_idle', args: { timeoutMs: 1200 }, explanation: 'wait for results', estimated_risk: 'low', confidence: 0.8 },
+      { tool: 'snapshot', args: {}, explanation: 'capture results', estimated_risk: 'low', confidence: 0.9 }
+    ]
+  };
 }
 
 export async function runPocSession(options) {
   const {
-    goal,
+    goal: rawGoal,
     model,
     host,
+    provider,
+    apiKey,
     profile = 'default',
     configPath,
     precomputedPlan,
     headless = false,
     devtools = false,
+    driver: driverName = 'playwright',
+    driverOptions = {},
+    planOnly = false,
     cookieDismiss = false,
     confirmPlan,
     confirmOriginChange: confirmOriginChangeFn,
-    onUpdate = () => { },
+    onUpdate: rawOnUpdate = () => { },
     killSignal,
     artifactsDir = path.join(process.cwd(), 'artifacts'),
     llmLog = 'snippet',
     promptVariant = null,
-    workspace = path.join(process.cwd(), 'loopert-workspace')
+    mode = 'plan',
+    loopBatchSize = 1,
+    onStepError,
+    approveStep,
+    schemas = {},
+    capture = {},
+    secrets: secretValues,
+    secretsFile,
+    identity,
+    identitiesDir,
+    workspace = path.join(process.cwd(), 'loopert-workspace'),
+    dryRun = false,
+    fullPage = true,
+    onBlocker
   } = options;
 
-  const logger = (msg) => onUpdate(msg);
-
   if (!confirmPlan) {
     return { status: 'policy_error', detail: 'confirm_required_not_provided' };
   }
 
-  const toolCatalog = buildToolCatalog(profile);
-  const guardrails = loadGuardrails({ configPath, profileName: profile });
-  const policyHint = buildPolicyHint(guardrails.profile, toolCatalog);
+  let secrets;
+  try {
+    secrets = openSecretStore(secretValues, secretsFile);
+  } catch (err) {
+    return { status: 'policy_error', detail: err.message };
+  }
+  // everything reported upward, and the goal the planner sees, carries placeholders instead of secret values
+  const onUpdate = (msg) => rawOnUpdate(typeof msg === 'string' ? redactSecrets(msg, secrets) : msg);
+  const goal = redactSecrets(rawGoal, secrets);
+  const logger = (msg) => onUpdate(msg);
+
+  let guardrails;
+  try {
+    guardrails = loadGuardrails({ configPath, profileName: profile });
+  } catch (err) {
+    return { status: 'policy_error', detail: { error: err.message, details: err.details } };
+  }
+  const toolCatalog = buildToolCatalog(guardrails.lineage);
+  const policyHint = buildPolicyHint(guardrails.profile, toolCatalog, Object.keys(schemas), secrets.names());
+  let identityState;
+  if (identity) {
+    try {
+      identityState = identityStatePath(identity, { dir: identitiesDir });
+    } catch (err) {
+      return { status: 'policy_error', detail: err.message };
+    }
+  }
   const capabilityProfile = guardrails.profile?.autonomy_level || 'assisted';
-  const isMobileProfile = guardrails.profileName === 'mobile';
+  const isMobileProfile = guardrails.lineage.includes('mobile');
   const workspaceRoot = path.resolve(workspace);
   ensureDir(workspaceRoot);
+  const trace = createTraceRecorder({
+    artifactsDir,
+    goal,
+    profile: guardrails.profileName,
+    mode,
+    driver: driverName,
+    workspaceRoot,
+    cookieDismiss,
+    redact: (value) => redactSecrets(value, secrets)
+  });
+  // every outcome past this point leaves a replayable trace.json in artifactsDir
+  const finish = (result) => {
+    trace.write(result);
+    return result;
+  };
   onUpdate(
     kleur.gray(
       `Guardrail profile: ${guardrails.profileName} (source: ${guardrails.source || 'built-in'})`
     )
   );
 
+  // trace/har/video: profile `capture` defaults, overridden per run by options.capture
+  const captureOptions = { ...(guardrails.profile?.capture || {}), ...capture };
+
   let planSource = 'planner';
   let plan;
   let llmRaw = null;
-  const effectiveModel = model || process.env.OLLAMA_MODEL || 'qwen3-vl:4b';
-  const browser = await chromium.launch({ headless, devtools });
-  const context = await browser.newContext();
-  const page = await context.newPage();
+  // the adapter resolves its own default (OLLAMA_MODEL, OPENAI_MODEL, ANTHROPIC_MODEL) when no model is given
+  const effectiveModel = createPlannerAdapter({ provider, model, host, apiKey })?.model || model;
+  // a driver instance (e.g. the fake driver in tests) is owned by the caller and left open
+  const ownsDriver = typeof driverName === 'string';
+  const driver = planOnly
+    ? null
+    : ownsDriver
+      ? await createDriver(driverName, {
+        headless,
+        devtools,
+        capture: captureOptions,
+        artifactsDir,
+        storageState: identityState,
+        ...driverOptions
+      })
+      : driverName;
+  // the identity's cookies/localStorage are written back whatever the outcome, so a login survives a later failure
+  const persistIdentity = async () => {
+    if (!identity || !driver?.storageState) return;
+    try {
+      const saved = saveIdentityState(identity, await driver.storageState(), { dir: identitiesDir });
+      onUpdate(kleur.gray(`Saved identity "${identity}" (${saved.cookies} cookies, ${saved.origins.length} origins)`));
+    } catch (err) {
+      onUpdate(kleur.yellow(`Could not save identity "${identity}": ${err.message}`));
+    }
+  };
+  const closeDriver = async () => {
+    await persistIdentity();
+    if (driver && ownsDriver) await driver.close().catch(() => { });
+  };
+  const domainPolicy = createDomainPolicy(guardrails.profile);
+  const requestPolicyError = driver && (await applyRequestPolicies(driver, guardrails, domainPolicy, onUpdate));
+  if (requestPolicyError) {
+    await closeDriver();
+    return finish({ status: 'policy_error', detail: requestPolicyError });
+  }
+  if (driver && identity && !driver.storageState) {
+    onUpdate(kleur.yellow(`Identity "${identity}" needs the playwright driver; the ${driver.name} driver cannot load or save it.`));
+  }
+  if (driver) {
+    for (const [kind, wanted] of Object.entries(captureOptions)) {
+      if (wanted && !driver.capture?.[kind]) {
+        onUpdate(kleur.yellow(`Capture "${kind}" is not supported by the ${driver.name} driver; skipping.`));
+      }
+    }
+  }
   const lastActionAt = { value: 0 };
   const execContext = {
-    page,
+    driver,
     artifactsDir,
     workspaceRoot,
     lastActionAt,
@@ -774,41 +1921,63 @@ export async function runPocSession(options) {
     logger,
     logStructured: (level, msg, meta) => logStructured(onUpdate, level, msg, meta),
     isMobile: isMobileProfile,
+    followPopups: Boolean(guardrails.profile?.follow_popups),
+    domainPolicy,
+    toolRules: guardrails.profile?.tool_rules,
+    minConfidence: guardrails.profile?.min_confidence,
+    shellSandbox: guardrails.profile?.shell_sandbox,
+    files: createWorkspaceFiles({ root: workspaceRoot, artifactsDir, quota: guardrails.profile?.file_quota }),
+    approval: approvalPolicy(guardrails, toolCatalog, approveStep),
+    allowPassword: guardrails.profile?.allow_password !== false,
+    secrets,
     killSignal,
-    cookieDismiss
+    cookieDismiss,
+    schemas,
+    dryRun,
+    fullPage,
+    onBlocker
   };
 
+  const plannerOptions = {
+    provider,
+    apiKey,
+    model,
+    host,
+    policyHint,
+    toolCatalog,
+    capabilityProfile,
+    promptVariant: promptVariant || (isMobileProfile ? 'mobile' : undefined)
+  };
+  execContext.plannerOptions = plannerOptions;
+
+  // per-step records ({ idx, tool, args, status, ms, output }) kept for templating, replans and the result
+  const stepResults = [];
   try {
-    const stepResults = [];
     if (precomputedPlan) {
       const validation = validatePlanSchema(precomputedPlan);
       if (validation.error) {
-        await browser.close();
-        return { status: 'planner_error', detail: validation };
+        await closeDriver();
+        return finish({ status: 'planner_error', detail: validation });
       }
       plan = validation.plan;
       planSource = 'precomputed';
+      trace.addPlan({ source: 'precomputed', result: { plan } });
     } else {
       onUpdate(
         kleur.cyan(
-          `Planning for goal: "${goal}" (model: ${effectiveModel}, host: ${host || 'default'})`
+          `Planning for goal: "${goal}" (provider: ${provider || process.env.LOOPERT_PROVIDER || 'ollama'}, model: ${effectiveModel}, host: ${host || 'default'})`
         )
       );
-      const snapshot = await collectSnapshot(page);
+      const snapshot = driver ? await collectSnapshot(driver) : undefined;
+      if (snapshot) execContext.interactables = snapshot.page.interactables;
       const plannerInput = {
         goal,
-        context: snapshot,
+        context: snapshot && { ...snapshot, page: redactSecrets(snapshot.page, secrets) },
         capability_profile: capabilityProfile,
         tool_catalog: toolCatalog
       };
-      const planResult = await planGoal(plannerInput, {
-        model,
-        host,
-        policyHint,
-        toolCatalog,
-        capabilityProfile,
-        promptVariant: promptVariant || (isMobileProfile ? 'mobile' : undefined)
-      });
+      const planResult = await planGoal(plannerInput, plannerOptions);
+      trace.addPlan({ source: 'planner', input: plannerInput, result: planResult });
       if (planResult.error) {
         const detailMsg =
           planResult.details && Array.isArray(planResult.details)
@@ -817,19 +1986,7 @@ export async function runPocSession(options) {
         const rawMsg = planResult.raw ? ` Raw: ${String(planResult.raw).slice(0, 400)}...` : '';
         // fallback stub for simple search goals
         if (planResult.error === 'schema_validation_failed') {
-          const queryMatch = goal.match(/search\s+(.+?)(,|$)/i);
-          const query = encodeURIComponent(queryMatch ? queryMatch[1].trim() : goal.trim());
-          const searchUrl = `https://duckduckgo.com/?q=${query}`;
-          plan = {
-            plan_id: `fallback-${Date.now()}`,
-            autonomy_level: capabilityProfile || 'assisted',
-            reasoning_summary: 'Fallback web search plan due to planner schema failure',
-            steps: [
-              { tool: 'navigate', args: { url: searchUrl }, explanation: 'open search page', estimated_risk: 'medium', confidence: 0.8 },
-              { tool: 'wait_for_idle', args: { timeoutMs: 1200 }, explanation: 'wait for results', estimated_risk: 'low', confidence: 0.8 },
-              { tool: 'snapshot', args: {}, explanation: 'capture results', estimated_risk: 'low', confidence: 0.9 }
-            ]
-          };
+          plan = fallbackSearchPlan(goal, capabilityProfile);
           planSource = 'fallback';
           llmRaw = planResult.raw;
           onUpdate(kleur.yellow('Planner failed; using fallback search plan.'));
@@ -839,8 +1996,8 @@ export async function runPocSession(options) {
               `Planner error (${planResult.error}) ${detailMsg ? `details=${detailMsg}` : ''}${rawMsg}`
             )
           );
-          await browser.close();
-          return { status: 'planner_error', detail: planResult };
+          await closeDriver();
+          return finish({ status: 'planner_error', detail: planResult });
         }
       }
       if (!plan) {
@@ -850,19 +2007,14 @@ export async function runPocSession(options) {
     }
 
     // coordinate normalization and clipping
-    plan = await normalizeCoordinates(plan, page, logger);
+    if (driver) {
+      plan = await normalizeCoordinates(plan, driver, logger);
+    }
+    plan = applyCatalogRisk(plan, toolCatalog);
+    trace.setPlan(plan);
     logStructured(onUpdate, 'plan_ready', 'Validated plan', { plan_id: plan.plan_id, steps: plan.steps.length });
 
-    if (llmRaw) {
-      if (llmLog === 'off') {
-        // no logging
-      } else if (llmLog === 'full') {
-        onUpdate(kleur.gray(`LLM raw response: ${llmRaw}`));
-      } else {
-        const snippet = llmRaw.length > 600 ? `${llmRaw.slice(0, 600)}…` : llmRaw;
-        onUpdate(kleur.gray(`LLM raw response: ${snippet}`));
-      }
-    }
+    logLlmRaw(onUpdate, llmRaw, llmLog);
 
     const policyCheck = validatePlanAgainst(plan, guardrails.profile, toolCatalog);
     if (policyCheck.error) {
@@ -872,8 +2024,12 @@ export async function runPocSession(options) {
           }`
         )
       );
-      await browser.close();
-      return { status: 'policy_block', detail: policyCheck };
+      await closeDriver();
+      return finish({ status: 'policy_block', detail: policyCheck });
+    }
+
+    if (planOnly) {
+      return finish({ status: 'planned', plan, planSource, llmRaw });
     }
 
     onUpdate(kleur.gray(`Plan source: ${planSource}`));
@@ -883,48 +2039,318 @@ export async function runPocSession(options) {
     if (confirmPlan) {
       const approved = await confirmPlan(plan);
       if (!approved) {
-        await browser.close();
-        return { status: 'rejected_by_user' };
+        await closeDriver();
+        return finish({ status: 'rejected_by_user' });
       }
     }
 
+    if (mode === 'loop') {
+      const loopResult = await runClosedLoop({
+        goal,
+        plan,
+        driver,
+        execContext,
+        guardrails,
+        toolCatalog,
+        capabilityProfile,
+        plannerOptions,
+        confirmPlan,
+        batchSize: loopBatchSize,
+        llmLog,
+        onUpdate,
+        logger,
+        stepResults,
+        onStepError,
+        trace
+      });
+      writeStepLog(artifactsDir, stepResults, onUpdate);
+      const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+      await closeDriver();
+      return finish({ ...loopResult, steps: stepResults, extractions });
+    }
+
     for (const [idx, step] of plan.steps.entries()) {
-      if (killSignal?.aborted) {
-        throw new Error('killed');
+      const policy = resolveStepPolicy(step, guardrails.profile, 'abort');
+      const { record, action } = await runStepWithPolicy(step, idx, plan.steps.length, {
+        execContext,
+        onUpdate,
+        stepResults,
+        policy,
+        onStepError
+      });
+      stepResults.push(record);
+      if (action === 'continue') continue;
+      if (action === 'policy_block') {
+        onUpdate(kleur.red(`Step ${idx + 1} blocked by guardrails: ${record.error} details=${JSON.stringify(record.details)}`));
+        writeStepLog(artifactsDir, stepResults, onUpdate);
+        const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+        await closeDriver();
+        return finish({ status: 'policy_block', detail: policyBlockDetail(record), steps: stepResults, extractions });
       }
-      logger(kleur.yellow(`Executing step ${idx + 1}/${plan.steps.length}: ${step.tool}`));
-      logStructured(onUpdate, 'step_start', step.tool, { idx, args: step.args });
-      const t0 = Date.now();
-      let status = 'ok';
-      try {
-        await executeStep(step, execContext);
-      } catch (err) {
-        status = 'error';
-        stepResults.push({ idx, tool: step.tool, status, ms: Date.now() - t0, error: err.message });
-        logStructured(onUpdate, 'step_end', step.tool, { idx, status, error: err.message, ms: Date.now() - t0 });
-        throw err;
+      if (action === 'rejected') {
+        writeStepLog(artifactsDir, stepResults, onUpdate);
+        const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+        await closeDriver();
+        return finish({ status: 'rejected_by_user', detail: { step: idx, reasons: record.approval.reasons }, steps: stepResults, extractions });
+      }
+      if (action === 'blocked') {
+        onUpdate(kleur.red(`Step ${idx + 1} left the page on a ${record.blocker.kind} that was not cleared`));
+        writeStepLog(artifactsDir, stepResults, onUpdate);
+        const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+        await closeDriver();
+        return finish({ status: 'blocked', detail: { step: idx, blocker: record.blocker }, steps: stepResults, extractions });
+      }
+      if (action === 'replan') {
+        // hand the rest of the run to the closed loop, starting from a fresh observation
+        const loopResult = await runClosedLoop({
+          goal,
+          plan: { ...plan, steps: plan.steps.slice(idx + 1) },
+          driver,
+          execContext,
+          guardrails,
+          toolCatalog,
+          capabilityProfile,
+          plannerOptions,
+          confirmPlan,
+          batchSize: loopBatchSize,
+          llmLog,
+          onUpdate,
+          logger,
+          stepResults,
+          onStepError,
+          trace,
+          observeFirst: true
+        });
+        writeStepLog(artifactsDir, stepResults, onUpdate);
+        const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+        await closeDriver();
+        return finish({ ...loopResult, steps: stepResults, extractions });
+      }
+      if (action === 'abort') {
+        throw new Error(record.error);
       }
-      const ms = Date.now() - t0;
-      stepResults.push({ idx, tool: step.tool, status, ms });
-      logStructured(onUpdate, 'step_end', step.tool, { idx, status, ms });
     }
 
-    try {
-      ensureDir(artifactsDir);
-      const outPath = path.join(artifactsDir, 'step-log.json');
-      fs.writeFileSync(outPath, JSON.stringify(stepResults, null, 2));
-      logStructured(onUpdate, 'steps_logged', 'Wrote step log', { path: outPath });
-    } catch (_) {
-      // ignore logging failures
-    }
+    writeStepLog(artifactsDir, stepResults, onUpdate);
   } catch (err) {
-    await browser.close();
+    await closeDriver();
+    if (stepResults.length) writeStepLog(artifactsDir, stepResults, onUpdate);
+    const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
     if (err.message === 'killed') {
-      return { status: 'killed' };
+      return finish({ status: 'killed', steps: stepResults, extractions });
+    }
+    return finish({ status: 'failed', error: err.message, steps: stepResults, extractions });
+  }
+
+  await closeDriver();
+  const extractions = writeExtractions(artifactsDir, stepResults, onUpdate);
+  return finish({ status: 'ok', steps: stepResults, extractions });
+}
+
+// Recorded points win over ids/labels so a replay clicks exactly where the original run did.
+function replayStepFor(recorded) {
+  const args = recorded.resolvedArgs || recorded.args || {};
+  const out = recorded.output || {};
+  const step = { tool: recorded.tool, args };
+  if (recorded.estimated_risk !== undefined) step.estimated_risk = recorded.estimated_risk;
+  if (Number.isFinite(recorded.confidence)) step.confidence = recorded.confidence;
+  if (recorded.tool === 'click' && out.via === 'bbox' && out.point) {
+    step.tool = 'click_point';
+    step.args = { point: out.point };
+  } else if (['click_point', 'long_press'].includes(recorded.tool) && out.point) {
+    step.args = { ...args, point: out.point };
+  } else if (recorded.tool === 'drag' && out.from && out.to) {
+    step.args = { ...args, from: out.from, to: out.to };
+  }
+  if (Array.isArray(recorded.expect?.checks)) {
+    step.expect = Object.fromEntries(recorded.expect.checks.map((c) => [c.type, c.expected]));
+  }
+  return step;
+}
+
+// Re-execute a trace.json without the planner. speed: 'fast' (default) or 'recorded' (keep original step offsets).
+// A step whose outcome differs from the recording is a divergence; the replay stops there unless stopOnDivergence is false.
+// Every step goes through runStepWithPolicy like a live run's, so approveStep / onStepError / confirmOriginChange
+// answer for the replay the way they do for runPocSession.
+export async function replayTrace(source, options = {}) {
+  let trace;
+  try {
+    trace = readTrace(source);
+  } catch (err) {
+    return { status: 'trace_error', detail: { error: err.message, details: err.details }, steps: [], divergences: [] };
+  }
+  const {
+    driver: driverName = trace.driver || 'playwright',
+    driverOptions = {},
+    headless = true,
+    capture = {},
+    speed = 'fast',
+    stopOnDivergence = true,
+    onUpdate: rawOnUpdate = () => { },
+    killSignal,
+    artifactsDir = path.join(process.cwd(), 'artifacts', `replay-${Date.now()}`),
+    secrets: secretValues,
+    secretsFile,
+    identity,
+    identitiesDir,
+    configPath,
+    profile = trace.profile,
+    workspace = trace.workspace || path.join(process.cwd(), 'loopert-workspace'),
+    approveStep,
+    onStepError,
+    confirmOriginChange: confirmOriginChangeFn
+  } = options;
+  const failed = (status, detail) => ({ status, detail, steps: [], divergences: [], recordedStatus: trace.status });
+  // traces keep {{secret:name}} placeholders, so replays resolve them from the local store again
+  let secrets;
+  try {
+    secrets = openSecretStore(secretValues, secretsFile);
+  } catch (err) {
+    return failed('policy_error', err.message);
+  }
+  const onUpdate = (msg) => rawOnUpdate(typeof msg === 'string' ? redactSecrets(msg, secrets) : msg);
+  // the recorded profile (extends resolved) governs the replay exactly as it did the run: tool catalog and
+  // blocked tools, step approval and thresholds, domain fence, request blocklist, argument rules, shell sandbox
+  // and file quotas
+  let guardrails;
+  try {
+    guardrails = loadGuardrails({ configPath, profileName: profile });
+  } catch (err) {
+    return failed('policy_error', { error: err.message, details: err.details });
+  }
+  const toolCatalog = buildToolCatalog(guardrails.lineage);
+  onUpdate(kleur.gray(`Guardrail profile: ${guardrails.profileName} (source: ${guardrails.source || 'built-in'})`));
+
+  // an identity is only loaded here: a replay never writes back into it
+  let storageState;
+  if (identity) {
+    try {
+      storageState = identityStatePath(identity, { dir: identitiesDir });
+    } catch (err) {
+      return failed('policy_error', err.message);
     }
-    return { status: 'failed', error: err.message };
+  }
+  const ownsDriver = typeof driverName === 'string';
+  const driver = ownsDriver
+    ? await createDriver(driverName, { headless, capture, artifactsDir, storageState, ...driverOptions })
+    : driverName;
+  const domainPolicy = createDomainPolicy(guardrails.profile);
+  const requestPolicyError = await applyRequestPolicies(driver, guardrails, domainPolicy, onUpdate);
+  if (requestPolicyError) {
+    if (ownsDriver) await driver.close().catch(() => { });
+    return failed('policy_error', requestPolicyError);
+  }
+  const workspaceRoot = path.resolve(workspace);
+  ensureDir(workspaceRoot);
+  const execContext = {
+    driver,
+    artifactsDir,
+    workspaceRoot,
+    lastActionAt: { value: 0 },
+    currentOrigin: null,
+    confirmOriginChangeFn,
+    logger: (msg) => onUpdate(msg),
+    logStructured: (level, msg, meta) => logStructured(onUpdate, level, msg, meta),
+    isMobile: guardrails.lineage.includes('mobile'),
+    domainPolicy,
+    toolRules: guardrails.profile?.tool_rules,
+    minConfidence: guardrails.profile?.min_confidence,
+    shellSandbox: guardrails.profile?.shell_sandbox,
+    approval: approvalPolicy(guardrails, toolCatalog, approveStep),
+    allowPassword: guardrails.profile?.allow_password !== false,
+    killSignal,
+    cookieDismiss: Boolean(trace.cookieDismiss),
+    files: createWorkspaceFiles({ root: workspaceRoot, artifactsDir, quota: guardrails.profile?.file_quota }),
+    schemas: {},
+    secrets
+  };
+  onUpdate(kleur.cyan(`Replaying ${trace.steps.length} step(s) of "${trace.goal}" (${speed})`));
+
+  const replayed = [];
+  const divergences = [];
+  const t0 = Date.now();
+  let status = 'ok';
+  let detail;
+  try {
+    for (const recorded of trace.steps) {
+      if (speed === 'recorded' && Number.isFinite(recorded.at)) {
+        const delay = recorded.at - (Date.now() - t0);
+        if (delay > 0) await sleep(delay);
+      }
+      // checked as recorded (before click -> click_point rewrites), as the live run's plan validation saw it
+      const policyCheck = validatePlanAgainst(
+        { steps: [{ tool: recorded.tool, args: recorded.resolvedArgs || recorded.args || {} }] },
+        { ...guardrails.profile, max_steps: 0 },
+        toolCatalog
+      );
+      if (policyCheck.error) {
+        status = 'policy_block';
+        detail = { error: policyCheck.error, details: { ...policyCheck.details, step: recorded.idx } };
+        onUpdate(kleur.red(`Step ${recorded.idx + 1} (${recorded.tool}) is not allowed by profile ${guardrails.profileName}: ${policyCheck.error}`));
+        break;
+      }
+      // follow popups exactly where the recorded run did, whatever the current profile says
+      execContext.followPopups = Boolean(recorded.output?.popup?.followed);
+      let record;
+      let action = null;
+      if (recorded.tool === 'extract_schema') {
+        // extract_schema answers came from the LLM; reuse the recorded output instead of asking again
+        record = { ...recorded, replayed_from: 'trace' };
+      } else {
+        const step = replayStepFor(recorded);
+        ({ record, action } = await runStepWithPolicy(step, recorded.idx, trace.steps.length, {
+          execContext,
+          onUpdate,
+          stepResults: replayed,
+          policy: resolveStepPolicy(step, guardrails.profile, 'abort'),
+          onStepError
+        }));
+      }
+      replayed.push(record);
+      if (action === 'policy_block') {
+        status = 'policy_block';
+        detail = policyBlockDetail(record);
+        break;
+      }
+      if (action === 'rejected') {
+        status = 'rejected_by_user';
+        detail = { step: recorded.idx, reasons: record.approval.reasons };
+        break;
+      }
+      if (record.status !== recorded.status) {
+        divergences.push({ idx: recorded.idx, tool: recorded.tool, recorded: recorded.status, replayed: record.status, error: record.error || recorded.error || null });
+        onUpdate(kleur.red(`Step ${recorded.idx + 1} diverged: recorded ${recorded.status}, replayed ${record.status}${record.error ? ` (${record.error})` : ''}`));
+        if (stopOnDivergence) break;
+      }
+      // there is no planner to replan with, so only an abort ends the replay early
+      if (action === 'abort') break;
+    }
+    if (divergences.length && status === 'ok') status = 'diverged';
+  } catch (err) {
+    status = err.message === 'killed' ? 'killed' : 'failed';
+    if (status === 'failed') divergences.push({ error: err.message });
   }
 
-  await browser.close();
-  return { status: 'ok' };
+  writeStepLog(artifactsDir, replayed, onUpdate);
+  if (ownsDriver) await driver.close().catch(() => { });
+  return { status, ...(detail ? { detail } : {}), profile: guardrails.profileName, steps: replayed, divergences, recordedStatus: trace.status };
 }
+
+export { readTrace } from './trace.js';
+export { createIdentity, deleteIdentity, identityExists, listIdentities } from './identities.js';
+export { createSecretStore, readSecretsFile, redactSecrets, writeSecretsFile } from './secrets.js';
+export {
+  createAgentBrowserDriver,
+  createCdpDriver,
+  createDriver,
+  createFakeDriver,
+  createPlaywrightDriver,
+  isCdpReachable
+} from './drivers.js';
+export {
+  cleanupDaemonArtifacts,
+  closeDaemonBestEffort,
+  listAgentBrowserSessions,
+  runAgentBrowser,
+  waitForDaemonShutdown
+} from './agent-browser.js';
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Local secret store behind {{secret:name}} placeholders. Plans, planner prompts and logs only ever carry the
+// placeholder; executeStep swaps in the value and redactSecrets() turns any value back into its placeholder.
+// Sources: LOOPERT_SECRET_<NAME> env vars, and an AES-256-GCM file keyed by a passphrase (LOOPERT_SECRETS_KEY).
+
+export const SECRET_PLACEHOLDER_RE = /\{\{\s*secret:([\w.-]+)\s*\}\}/g;
+export const SECRETS_ENV_PREFIX = 'LOOPERT_SECRET_';
+export const SECRETS_KEY_ENV = 'LOOPERT_SECRETS_KEY';
+const FILE_VERSION = 1;
+// Every secret is redacted, and redacting shorter values would take ordinary words out of every log line, so shorter
+// ones (a 3-digit PIN) are refused when stored or loaded rather than left unredacted.
+export const MIN_SECRET_LENGTH = 4;
+
+function checkSecretLengths(secrets) {
+  const short = Object.entries(secrets).find(([, value]) => String(value).length < MIN_SECRET_LENGTH);
+  if (short) throw new Error(`secret_too_short:${short[0]}`);
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+export function readSecretsFile(file, passphrase) {
+  if (!fs.existsSync(file)) return {};
+  if (!passphrase) throw new Error('secrets_passphrase_required');
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    throw new Error('secrets_file_invalid');
+  }
+  if (payload?.version !== FILE_VERSION) throw new Error('secrets_file_invalid');
+  try {
+    const key = deriveKey(passphrase, Buffer.from(payload.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (_) {
+    throw new Error('secrets_decrypt_failed');
+  }
+}
+
+export function writeSecretsFile(file, secrets, passphrase) {
+  if (!passphrase) throw new Error('secrets_passphrase_required');
+  checkSecretLengths(secrets);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  const payload = {
+    version: FILE_VERSION,
+    kdf: 'scrypt',
+    cipher: 'aes-256-gcm',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2), { mode: 0o600 });
+}
+
+// `values` (name -> value) wins over the file, which wins over the environment.
+export function createSecretStore({ file, passphrase = process.env[SECRETS_KEY_ENV], env = process.env, values = {} } = {}) {
+  const secrets = {};
+  for (const [key, value] of Object.entries(env || {})) {
+    if (key.startsWith(SECRETS_ENV_PREFIX) && value) secrets[key.slice(SECRETS_ENV_PREFIX.length).toLowerCase()] = value;
+  }
+  if (file) Object.assign(secrets, readSecretsFile(file, passphrase));
+  Object.assign(secrets, values);
+  checkSecretLengths(secrets);
+
+  // longest first, so a secret containing another one is redacted whole
+  const redactable = Object.entries(secrets).sort((a, b) => String(b[1]).length - String(a[1]).length);
+
+  return {
+    names: () => Object.keys(secrets).sort(),
+    has: (name) => Object.prototype.hasOwnProperty.call(secrets, name),
+    get(name) {
+      if (!this.has(name)) throw new Error(`secret_not_found:${name}`);
+      return String(secrets[name]);
+    },
+    redactString(text) {
+      let out = text;
+      for (const [name, value] of redactable) {
+        out = out.split(String(value)).join(`{{secret:${name}}}`);
+      }
+      return out;
+    }
+  };
+}
+
+// Deep-replaces placeholders with values. Only executeStep calls this, right before the driver.
+export function resolveSecrets(value, store) {
+  if (typeof value === 'string') {
+    if (!value.includes('{{')) return value;
+    return value.replace(SECRET_PLACEHOLDER_RE, (_raw, name) => {
+      if (!store) throw new Error(`secret_not_found:${name}`);
+      return store.get(name);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveSecrets(v, store));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveSecrets(v, store)]));
+  }
+  return value;
+}
+
+export function redactSecrets(value, store) {
+  if (!store) return value;
+  if (typeof value === 'string') return store.redactString(value);
+  if (Array.isArray(value)) return value.map((v) => redactSecrets(v, store));
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, store)]));
+  }
+  return value;
+}
+
+export function isSecretPlaceholder(value) {
+  return typeof value === 'string' && /^\{\{\s*secret:[\w.-]+\s*\}\}$/.test(value.trim());
+}
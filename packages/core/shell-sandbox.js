@@ -0,0 +1,215 @@
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Isolated execution for the `shell` tool, selected per profile with `shell_sandbox` in guardrails.yaml.
+// mode `isolated` runs the command with a scrubbed env under bubblewrap (only system dirs and the workspace
+// are visible) or, without bwrap, `unshare` (own user/network/pid/mount namespaces and the same minimal root,
+// built by UNSHARE_ROOT_SCRIPT); mode `host` is the old unconfined exec. Both modes apply the timeout, CPU/memory
+// ulimits and the output cap.
+
+export const SHELL_SANDBOX_DEFAULTS = {
+  mode: 'isolated',
+  network: false,
+  workspace: 'read_write',
+  timeout_ms: 15000,
+  max_cpu_seconds: 30,
+  max_memory_mb: 1024,
+  max_output_bytes: 1000000,
+  // host env vars passed through by name; everything else (tokens, LOOPERT_SECRET_*) is dropped
+  env: [],
+  // false runs isolated-mode commands unconfined (scrubbed env and limits only) when no backend exists
+  require_isolation: true
+};
+const SAFE_PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc'];
+const PROBE_TIMEOUT_MS = 5000;
+
+// Runs as root of a fresh user namespace and gives the command the same view bwrap does: a tmpfs root with the
+// system dirs read-only, /proc, a few /dev nodes, an empty /tmp and the workspace ($2, read-only when $4 is
+// read_only). pivot_root drops the host filesystem entirely (a chroot could be escaped as root), then a nested
+// user namespace maps the command to nobody. $1 is the command, $3 an empty host dir to build the root on,
+// $5 the ulimit lines.
+const UNSHARE_ROOT_SCRIPT = [
+  'set -e',
+  'r="$3"',
+  'mount -t tmpfs -o mode=755 loopert "$r"',
+  `for d in ${SYSTEM_DIRS.join(' ')}; do`,
+  '  if [ -L "$d" ]; then ln -s "$(readlink "$d")" "$r$d"',
+  '  elif [ -d "$d" ]; then mkdir -p "$r$d"; mount --rbind "$d" "$r$d"; mount -o remount,bind,ro "$r$d"; fi',
+  'done',
+  'mkdir -p "$r/proc" "$r/dev" "$r/tmp" "$r/.old"',
+  'mount -t proc proc "$r/proc"',
+  'for n in null zero full random urandom; do touch "$r/dev/$n"; mount --bind "/dev/$n" "$r/dev/$n"; done',
+  'mount -t tmpfs -o mode=1777 tmpfs "$r/tmp"',
+  'mkdir -p "$r$2"',
+  'mount --bind "$2" "$r$2"',
+  'if [ "$4" = read_only ]; then mount -o remount,bind,ro "$r$2"; fi',
+  'cd "$r"',
+  'pivot_root . .old',
+  'umount -l /.old',
+  'rmdir /.old',
+  'cd "$2"',
+  'eval "$5"',
+  'exec unshare --user --map-user=65534 --map-group=65534 -- sh -c "$1"'
+].join('\n');
+
+let detectedBackend;
+
+function probe(cmd, args) {
+  try {
+    return spawnSync(cmd, args, { stdio: 'ignore', timeout: PROBE_TIMEOUT_MS }).status === 0;
+  } catch (_) {
+    return false;
+  }
+}
+
+function makeRootDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'loopert-root-'));
+}
+
+function removeRootDir(dir) {
+  try {
+    fs.rmdirSync(dir);
+  } catch (_) {
+    // the tmpfs only ever existed inside the namespace; a leftover empty dir is harmless
+  }
+}
+
+// the unshare probe builds the full minimal root, so a host where any of those steps is refused
+// (no unprivileged user namespaces, no pivot_root, an old util-linux) falls through to "no backend"
+function probeUnshare() {
+  const root = makeRootDir();
+  const workspace = makeRootDir();
+  try {
+    return probe('unshare', [...unshareArgs({}), 'sh', '-c', UNSHARE_ROOT_SCRIPT, 'loopert-shell', 'true', workspace, root, 'read_only', '']);
+  } finally {
+    removeRootDir(root);
+    removeRootDir(workspace);
+  }
+}
+
+// bwrap first; unshare needs unprivileged user namespaces, which some hosts and containers disable
+export function detectSandboxBackend() {
+  if (detectedBackend !== undefined) return detectedBackend;
+  if (probe('bwrap', ['--ro-bind', '/', '/', '--unshare-all', '--die-with-parent', 'true'])) {
+    detectedBackend = 'bwrap';
+  } else if (probeUnshare()) {
+    detectedBackend = 'unshare';
+  } else {
+    detectedBackend = null;
+  }
+  return detectedBackend;
+}
+
+export function resolveShellPolicy(profilePolicy = {}) {
+  return { ...SHELL_SANDBOX_DEFAULTS, ...(profilePolicy || {}) };
+}
+
+function sandboxEnv(policy, cwd) {
+  const env = { PATH: SAFE_PATH, HOME: cwd, TMPDIR: '/tmp', LANG: 'C.UTF-8' };
+  for (const name of policy.env || []) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  return env;
+}
+
+function bwrapArgs(policy, cwd) {
+  const args = [];
+  for (const dir of SYSTEM_DIRS) args.push('--ro-bind-try', dir, dir);
+  args.push('--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp');
+  args.push(policy.workspace === 'read_only' ? '--ro-bind' : '--bind', cwd, cwd);
+  args.push('--chdir', cwd, '--unshare-all', '--die-with-parent', '--new-session');
+  if (policy.network) args.push('--share-net');
+  return args;
+}
+
+function unshareArgs(policy) {
+  const args = ['--map-root-user', '--mount', '--pid', '--kill-child', '--mount-proc'];
+  if (!policy.network) args.push('--net');
+  return args;
+}
+
+// Runs `sh -c cmd` inside the limits; resolves with the real exit code/signal and both streams.
+export function runShell(cmd, { cwd, policy: rawPolicy, timeoutMs, logger } = {}) {
+  const policy = resolveShellPolicy(rawPolicy);
+  const workdir = path.resolve(cwd);
+  let sandbox = null;
+  if (policy.mode !== 'host') {
+    sandbox = detectSandboxBackend();
+    if (!sandbox && policy.require_isolation !== false) {
+      return Promise.reject(new Error('shell_sandbox_unavailable'));
+    }
+    if (!sandbox && logger) logger('shell: no bwrap/unshare available; running with scrubbed env and limits only');
+  }
+
+  // limits are set by the shell that then execs the command, so they bind everything it starts;
+  // $1 is the command and $2 the workspace (kept out of the script text to avoid quoting)
+  const limits = [];
+  if (Number(policy.max_cpu_seconds) > 0) limits.push(`ulimit -t ${Math.ceil(Number(policy.max_cpu_seconds))}`);
+  if (Number(policy.max_memory_mb) > 0) limits.push(`ulimit -v ${Math.ceil(Number(policy.max_memory_mb) * 1024)}`);
+  const script = [...limits, 'exec sh -c "$1"'].join('; ');
+  const inner = ['sh', '-c', script, 'loopert-shell', cmd, workdir];
+  const rootDir = sandbox === 'unshare' ? makeRootDir() : null;
+  const [bin, ...args] =
+    sandbox === 'bwrap'
+      ? ['bwrap', ...bwrapArgs(policy, workdir), ...inner]
+      : sandbox === 'unshare'
+        ? ['unshare', ...unshareArgs(policy), 'sh', '-c', UNSHARE_ROOT_SCRIPT, 'loopert-shell', cmd, workdir, rootDir, policy.workspace, limits.join('\n')]
+        : inner;
+  const env = policy.mode === 'host' ? process.env : sandboxEnv(policy, workdir);
+  const limitMs = Number(timeoutMs || policy.timeout_ms) || SHELL_SANDBOX_DEFAULTS.timeout_ms;
+  const maxBytes = Number(policy.max_output_bytes) || SHELL_SANDBOX_DEFAULTS.max_output_bytes;
+
+  return new Promise((resolve, reject) => {
+    // own process group, so a timeout takes down everything the command started
+    const child = spawn(bin, args, { cwd: workdir, env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = { stdout: [], stderr: [] };
+    let bytes = 0;
+    let truncated = false;
+    let timedOut = false;
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (_) {
+        // already gone
+      }
+    };
+    const collect = (stream) => (data) => {
+      if (truncated) return;
+      const room = maxBytes - bytes;
+      chunks[stream].push(data.length > room ? data.subarray(0, room) : data);
+      bytes += Math.min(data.length, room);
+      if (data.length > room) {
+        truncated = true;
+        killGroup();
+      }
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, limitMs);
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      if (rootDir) removeRootDir(rootDir);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (rootDir) removeRootDir(rootDir);
+      resolve({
+        stdout: Buffer.concat(chunks.stdout).toString('utf8'),
+        stderr: Buffer.concat(chunks.stderr).toString('utf8'),
+        exitCode: typeof code === 'number' ? code : null,
+        signal: signal || null,
+        timedOut,
+        truncated,
+        sandbox: sandbox || (policy.mode === 'host' ? 'host' : 'none'),
+        network: policy.mode === 'host' || !sandbox || Boolean(policy.network)
+      });
+    });
+  });
+}
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  assisted:
+    extends: auto
+    autonomy_level: assisted
+    blocked_tools: [shell]
+  semi:
+    extends: auto
+    autonomy_level: semi_auto
+  gated:
+    extends: auto
+    approval_tools: [type]
+`
+);
+
+const PAGES = { 'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] } };
+
+// answers approveStep from `answers` (tool -> answer, default 'approve') and records what was asked
+function approver(answers = {}) {
+  const asked = [];
+  const approveStep = async ({ step: gated, idx, reasons, autonomyLevel }) => {
+    asked.push({ idx, tool: gated.tool, reasons, autonomyLevel });
+    return answers[gated.tool] ?? 'approve';
+  };
+  return { asked, approveStep };
+}
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+const search = step('type', { id: 'q', text: 'shoes' });
+const save = step('write_file', { path: 'notes.txt', content: 'x' });
+
+describe('approveStep answers', () => {
+  test('approve runs the step and records the approval', async () => {
+    const { asked, approveStep } = approver();
+    const { result, driver } = await run([open, search], { profile: 'assisted', approveStep });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      asked.map((a) => [a.idx, a.tool, a.reasons, a.autonomyLevel]),
+      [
+        [0, 'navigate', ['assisted'], 'assisted'],
+        [1, 'type', ['assisted'], 'assisted']
+      ]
+    );
+    assert.deepEqual(result.steps[1].approval, { reasons: ['assisted'], decision: 'approve' });
+    assert.equal(driver.values.q, 'shoes');
+  });
+
+  test('skip records the step as skipped and goes on', async () => {
+    const { approveStep } = approver({ type: 'skip' });
+    const { result, driver } = await run([open, search, step('scroll', { deltaY: 100 })], { profile: 'assisted', approveStep });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      result.steps.map((r) => r.status),
+      ['ok', 'skipped', 'ok']
+    );
+    assert.equal(result.steps[1].approval.decision, 'skip');
+    assert.equal(driver.values.q, undefined);
+  });
+
+  test('abort ends the run with rejected_by_user before the step runs', async () => {
+    const { approveStep } = approver({ type: 'abort' });
+    const { result, driver } = await run([open, search, step('scroll', { deltaY: 100 })], { profile: 'assisted', approveStep });
+    assert.equal(result.status, 'rejected_by_user');
+    assert.deepEqual(result.detail, { step: 1, reasons: ['assisted'] });
+    assert.equal(result.steps.length, 2);
+    assert.equal(result.steps[1].status, 'rejected');
+    assert.equal(driver.values.q, undefined);
+  });
+
+  test('no approveStep callback means a gated step is rejected', async () => {
+    const { result, driver } = await run([open], { profile: 'assisted' });
+    assert.equal(result.status, 'rejected_by_user');
+    assert.ok(!driver.calls.some((c) => c.op === 'navigate'));
+  });
+
+  test('edit runs the edited step and keeps the original on the record', async () => {
+    const { approveStep } = approver({ type: { action: 'edit', step: { tool: 'type', args: { id: 'q', text: 'boots' } } } });
+    const { result, driver } = await run([open, search], { profile: 'assisted', approveStep });
+    assert.equal(result.status, 'ok');
+    assert.equal(driver.values.q, 'boots');
+    assert.equal(result.steps[1].approval.decision, 'edit');
+    assert.deepEqual(result.steps[1].approval.original, { tool: 'type', args: { id: 'q', text: 'shoes' } });
+  });
+
+  test('an edit the profile does not allow ends the run with policy_block', async () => {
+    const { approveStep } = approver({ type: { action: 'edit', step: { tool: 'shell', args: { cmd: 'id' } } } });
+    const { result } = await run([open, search], { profile: 'assisted', approveStep });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'tool_blocked');
+    assert.equal(result.detail.details.step, 1);
+  });
+});
+
+describe('gating by autonomy_level', () => {
+  test('semi_auto asks only for high-risk and low-confidence steps', async () => {
+    const { asked, approveStep } = approver();
+    const { result } = await run([open, step('type', { id: 'q', text: 'shoes' }, { confidence: 0.4 }), search, save], {
+      profile: 'semi',
+      approveStep
+    });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      asked.map((a) => [a.idx, a.reasons]),
+      [
+        [1, ['low_confidence']],
+        [3, ['high_risk']]
+      ]
+    );
+    assert.ok(fs.existsSync(path.join(dir, 'workspace', 'notes.txt')));
+  });
+
+  test('auto asks for nothing outside approval_tools', async () => {
+    const { asked, approveStep } = approver();
+    const { result } = await run([open, search, save], { approveStep });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(asked, []);
+  });
+
+  test('approval_tools gate their tools at any level', async () => {
+    const { asked, approveStep } = approver();
+    const { result } = await run([open, search, save], { profile: 'gated', approveStep });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      asked.map((a) => [a.tool, a.reasons, a.autonomyLevel]),
+      [['type', ['approval_tool'], 'auto']]
+    );
+  });
+});
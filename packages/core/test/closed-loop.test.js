@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { registerPlannerAdapter } from '@loopert/llm';
+import { beforeEach, describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  looped:
+    extends: auto
+    max_steps: 10
+  short:
+    extends: auto
+    max_steps: 2
+`
+);
+
+// Answers queued per test; every prompt the loop sends is kept in `prompts`.
+const planner = { replies: [], prompts: [] };
+registerPlannerAdapter('stub', () => ({
+  name: 'stub',
+  model: 'stub',
+  async complete(messages) {
+    planner.prompts.push(messages.at(-1).content);
+    return JSON.stringify(planner.replies.shift() || { status: 'done', steps: [] });
+  }
+}));
+
+beforeEach(() => {
+  planner.replies = [];
+  planner.prompts = [];
+});
+
+const PAGES = {
+  'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] },
+  'https://example.com/results': { title: 'Results for shoes', interactables: [] }
+};
+
+function replan(steps, status = 'replan') {
+  return { reasoning_summary: 'next', plan_id: 'plan-next', autonomy_level: 'auto', status, steps };
+}
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, mode: 'loop', provider: 'stub', profile: 'looped', ...options });
+}
+
+describe('closed loop', () => {
+  test('observes the page after each batch and runs the replanned steps', async () => {
+    planner.replies.push(
+      replan([step('type', { id: 'q', text: 'shoes' }), step('navigate', { url: 'https://example.com/results' })]),
+      replan([], 'continue'),
+      replan([], 'done')
+    );
+    const { result, driver } = await run([step('navigate', { url: 'https://example.com/' })]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.iterations, 3);
+    assert.deepEqual(
+      result.steps.map((r) => r.tool),
+      ['navigate', 'type', 'navigate']
+    );
+    assert.equal(driver.values.q, 'shoes');
+    // each observation carries the page at that point and the steps run so far
+    assert.match(planner.prompts[0], /"title": "Example"/);
+    assert.match(planner.prompts[2], /"title": "Results for shoes"/);
+    assert.match(planner.prompts[2], /type/);
+  });
+
+  test('max_steps bounds the executed steps across iterations', async () => {
+    planner.replies.push(
+      replan([step('scroll', { deltaY: 100 })]),
+      replan([step('scroll', { deltaY: 100 })]),
+      replan([step('scroll', { deltaY: 100 })])
+    );
+    const { result, driver } = await run([step('navigate', { url: 'https://example.com/' })], { profile: 'short' });
+    assert.equal(result.status, 'budget_exhausted');
+    assert.equal(result.steps.length, 2);
+    assert.equal(driver.calls.filter((c) => c.op === 'scroll').length, 0);
+    assert.equal(driver.calls.filter((c) => c.op === 'mouse.wheel').length, 1);
+  });
+});
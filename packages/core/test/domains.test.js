@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createDomainPolicy } from '../domains.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  fenced:
+    extends: auto
+    allowed_domains: [example.com]
+  denying:
+    extends: auto
+    denied_domains: [evil.test]
+`
+);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    interactables: [{ id: 'out', label: 'Elsewhere' }],
+    popups: { out: 'https://evil.test/' },
+    responses: [{ url: 'https://cdn.other.test/app.js', type: 'script', body: 'ok' }]
+  },
+  'https://evil.test/': { title: 'Evil', interactables: [] }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('createDomainPolicy', () => {
+  test('a bare domain covers its subdomains and * is a wildcard', () => {
+    const policy = createDomainPolicy({ allowed_domains: ['example.com', 'shop-*.example.org'] });
+    assert.equal(policy.check('https://www.example.com/a'), null);
+    assert.equal(policy.check('https://shop-eu.example.org/'), null);
+    assert.equal(policy.check('https://notexample.com/').reason, 'allowed_domains');
+  });
+
+  test('one trailing dot on the host or the pattern is ignored', () => {
+    const policy = createDomainPolicy({ denied_domains: ['evil.com', 'bad.test.'] });
+    assert.equal(policy.check('https://evil.com./').rule, 'evil.com');
+    assert.equal(policy.check('https://www.evil.com./').rule, 'evil.com');
+    assert.equal(policy.check('https://bad.test/').rule, 'bad.test');
+    assert.equal(policy.check('https://good.test./'), null);
+    const allowing = createDomainPolicy({ allowed_domains: ['example.com.'] });
+    assert.equal(allowing.check('https://example.com./'), null);
+    assert.equal(allowing.check('https://example.com/'), null);
+  });
+
+  test('host-less urls are refused under a denylist too, except about:blank', () => {
+    const policy = createDomainPolicy({ denied_domains: ['evil.com'] });
+    for (const url of ['javascript:alert(1)', 'data:text/html,<b>x</b>', 'file:///etc/passwd']) {
+      assert.deepEqual(policy.check(url), { url, host: null, reason: 'denied_domains', rule: null });
+    }
+    assert.equal(policy.check('about:blank'), null);
+    assert.equal(policy.check('about:blank#top'), null);
+    assert.equal(policy.check('https://example.com/'), null);
+    assert.equal(createDomainPolicy({ allowed_domains: ['example.com'] }).check('data:,x').reason, 'allowed_domains');
+  });
+
+  test('no lists means no fence', () => {
+    const policy = createDomainPolicy({});
+    assert.equal(policy.active, false);
+    assert.equal(policy.check('javascript:alert(1)'), null);
+  });
+});
+
+describe('domain fence in runs', () => {
+  test('navigation off the allowed hosts is a policy_block', async () => {
+    const { result, driver } = await run([step('navigate', { url: 'https://evil.test/' })], { profile: 'fenced' });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'domain_blocked');
+    assert.ok(driver.calls.some((c) => c.op === 'fenceRequests'));
+    assert.notEqual(await driver.url(), 'https://evil.test/');
+  });
+
+  test('a trailing-dot host does not get past the denylist', async () => {
+    const { result } = await run([step('navigate', { url: 'https://evil.test./' })], { profile: 'denying' });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.details.rule, 'evil.test');
+  });
+
+  test('a popup outside the fence is closed', async () => {
+    const { result, driver } = await run(
+      [step('navigate', { url: 'https://example.com/' }), step('click', { id: 'out' })],
+      { profile: 'fenced' }
+    );
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.details.popup, 't2');
+    assert.equal((await driver.tabs()).length, 1);
+  });
+
+  test('subresources from other hosts are not fenced', async () => {
+    const { result } = await run(
+      [step('navigate', { url: 'https://example.com/' }), step('wait_for_response', { urlPattern: '**/app.js', timeoutMs: 50 })],
+      { profile: 'fenced' }
+    );
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].output.body, 'ok');
+  });
+});
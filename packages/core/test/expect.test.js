@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    text: 'Welcome to the shop',
+    interactables: [
+      { id: 'q', label: 'Search', role: 'textbox' },
+      { id: 'spinner', label: 'Loading', hidden: true }
+    ]
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('step expectations', () => {
+  test('a step whose expectations hold is ok and keeps the checks', async () => {
+    const expect = { url: '/^https:\\/\\/example\\.com/', title: 'example', visible: 'q', hidden: 'spinner', text: 'shop', status: 200 };
+    const { result } = await run([step('navigate', { url: 'https://example.com/' }, { expect })]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[0].expect.passed, true);
+    assert.deepEqual(
+      result.steps[0].expect.checks.map((c) => c.type),
+      ['url', 'title', 'visible', 'hidden', 'text', 'status']
+    );
+  });
+
+  test('a failed expectation fails the step with the checks that missed', async () => {
+    const expect = { title: 'Checkout', visible: 'q', timeoutMs: 0 };
+    const { result } = await run([
+      step('navigate', { url: 'https://example.com/' }, { expect }),
+      step('type', { id: 'q', text: 'never typed' })
+    ]);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'expectation_failed');
+    assert.equal(result.steps.length, 1);
+    assert.deepEqual(
+      result.steps[0].expect.checks.map((c) => [c.type, c.passed]),
+      [['title', false], ['visible', true]]
+    );
+    // the step's own output is still reported
+    assert.equal(result.steps[0].output.title, 'Example');
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    text: 'Example shop',
+    texts: { '#price': '42' },
+    tables: [{ headers: ['Item', ''], rows: [['Apple', '1.20'], ['Pear', '0.95']] }],
+    interactables: []
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('extraction tools', () => {
+  test('named extractions are collected in the result and extractions.json', async () => {
+    const { result } = await run([
+      step('navigate', { url: 'https://example.com/' }),
+      step('extract_text', { selector: '#price', name: 'price' }),
+      step('extract_text', { maxChars: 7 })
+    ]);
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      result.extractions.map((e) => [e.name, e.output.text]),
+      [['price', '42'], [null, 'Example']]
+    );
+    assert.equal(result.extractions[1].output.truncated, true);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'artifacts', 'extractions.json'), 'utf8'));
+    assert.deepEqual(saved, result.extractions);
+  });
+
+  test('extract_table keys rows by header, with col<N> for unnamed ones', async () => {
+    const { result } = await run([step('navigate', { url: 'https://example.com/' }), step('extract_table', {})]);
+    assert.deepEqual(result.steps[1].output.rows, [
+      { Item: 'Apple', col2: '1.20' },
+      { Item: 'Pear', col2: '0.95' }
+    ]);
+    assert.equal(result.steps[1].output.count, 1);
+  });
+
+  test('extract_schema refuses a schema name it does not know', async () => {
+    const { result } = await run([step('navigate', { url: 'https://example.com/' }), step('extract_schema', { schema: 'product' })]);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps[1].error, 'extract_schema_unknown_schema');
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { resolveGuardrailDoc } from '../guardrails.js';
+import { GUARDRAILS_SCHEMA, lintGuardrails } from '../index.js';
+import { scratchDir } from './helpers.js';
+
+const dir = scratchDir();
+
+function resolve(profiles) {
+  return resolveGuardrailDoc({ profiles }, { schema: GUARDRAILS_SCHEMA, source: 'test.yaml' });
+}
+
+// the guardrails_invalid errors for `profiles`
+function errorsFor(profiles) {
+  try {
+    resolve(profiles);
+  } catch (err) {
+    assert.equal(err.message, 'guardrails_invalid');
+    assert.equal(err.details.source, 'test.yaml');
+    return err.details.errors;
+  }
+  assert.fail('expected guardrails_invalid');
+}
+
+describe('resolveGuardrailDoc', () => {
+  test('an unknown key is an error with a spelling hint', () => {
+    assert.deepEqual(errorsFor({ base: { blocked_tool: ['shell'] } }), [
+      { path: '/profiles/base/blocked_tool', message: 'unknown key (did you mean "blocked_tools"?)' }
+    ]);
+  });
+
+  test('unknown tools are errors in tool lists and tool_rules', () => {
+    assert.deepEqual(
+      errorsFor({ base: { blocked_tools: ['shel'], tool_rules: { sehll: { cmd: { deny: ['rm'] } } } } }).map((e) => e.path),
+      ['/profiles/base/blocked_tools/0', '/profiles/base/tool_rules/sehll']
+    );
+  });
+
+  test('extends merges nested blocks one level deep and replaces lists', () => {
+    const { profiles, extends: chains } = resolve({
+      base: {
+        max_steps: 10,
+        blocked_tools: ['shell', 'write_file'],
+        shell_sandbox: { mode: 'isolated', network: false },
+        tool_rules: { fetch: { method: { enum: ['GET'] } } }
+      },
+      child: {
+        extends: 'base',
+        blocked_tools: ['shell'],
+        shell_sandbox: { network: true },
+        tool_rules: { shell: { cmd: { allow: ['ls'] } } }
+      },
+      grandchild: { extends: 'child', max_steps: 3 }
+    });
+    assert.deepEqual(profiles.child, {
+      max_steps: 10,
+      blocked_tools: ['shell'],
+      shell_sandbox: { mode: 'isolated', network: true },
+      tool_rules: { fetch: { method: { enum: ['GET'] } }, shell: { cmd: { allow: ['ls'] } } }
+    });
+    assert.equal(profiles.grandchild.max_steps, 3);
+    assert.deepEqual(profiles.grandchild.shell_sandbox, profiles.child.shell_sandbox);
+    assert.deepEqual(chains, { base: [], child: ['base'], grandchild: ['child', 'base'] });
+  });
+
+  test('an unknown parent is an error with a hint', () => {
+    assert.deepEqual(errorsFor({ base: {}, child: { extends: 'bsae' } }), [
+      { path: '/profiles/child/extends', message: 'unknown profile "bsae" (did you mean "base"?)' }
+    ]);
+  });
+
+  test('an inheritance cycle is an error', () => {
+    assert.deepEqual(errorsFor({ a: { extends: 'b' }, b: { extends: 'a' }, c: { extends: 'c' } }), [
+      { path: '/profiles/b/extends', message: 'inheritance cycle: a -> b -> a' },
+      { path: '/profiles/a/extends', message: 'inheritance cycle: b -> a -> b' },
+      { path: '/profiles/c/extends', message: 'inheritance cycle: c -> c' }
+    ]);
+  });
+
+  test('a tool_rules regex that does not compile is an error, also when inherited', () => {
+    const errors = errorsFor({
+      base: { tool_rules: { shell: { cmd: { allow: ['ok', '(unclosed'] } } } },
+      child: { extends: 'base' }
+    });
+    assert.deepEqual(
+      errors.map((e) => e.path),
+      ['/profiles/base/tool_rules/shell/cmd/allow/1', '/profiles/child/tool_rules/shell/cmd/allow/1']
+    );
+  });
+});
+
+describe('built-in and shipped profiles', () => {
+  test('the built-in profiles extend a complete default', () => {
+    const doc = lintGuardrails({ configPath: path.join(dir, 'missing.yaml') });
+    assert.equal(doc.source, 'built-in-default');
+    assert.deepEqual(doc.extends, {
+      default: [],
+      pro: ['default'],
+      auto: ['default'],
+      unleashed: ['auto', 'default'],
+      mobile: ['default']
+    });
+    const keys = Object.keys(doc.profiles.default).sort();
+    for (const profile of Object.values(doc.profiles)) assert.deepEqual(Object.keys(profile).sort(), keys);
+    assert.equal(doc.profiles.unleashed.min_confidence, 0.3);
+    assert.deepEqual(doc.profiles.auto.blocked_tools, []);
+  });
+
+  test('guardrails.yaml at the repo root resolves to the same keys', () => {
+    const doc = lintGuardrails({ configPath: fileURLToPath(new URL('../../../guardrails.yaml', import.meta.url)) });
+    assert.equal(doc.error, undefined);
+    const builtIn = lintGuardrails({ configPath: path.join(dir, 'missing.yaml') });
+    for (const [name, profile] of Object.entries(doc.profiles)) {
+      assert.deepEqual(Object.keys(profile).sort(), Object.keys(builtIn.profiles[name]).sort(), name);
+    }
+  });
+
+  test('lintGuardrails reports a broken file instead of throwing', () => {
+    const file = path.join(dir, 'broken.yaml');
+    fs.writeFileSync(file, 'profiles:\n  base:\n    on_error: explode\n');
+    const result = lintGuardrails({ configPath: file });
+    assert.equal(result.error, 'guardrails_invalid');
+    assert.deepEqual(result.details.errors, [
+      { path: '/profiles/base/on_error', message: 'must be one of: abort, continue, replan, ask_human' }
+    ]);
+  });
+});
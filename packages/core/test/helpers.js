@@ -0,0 +1,51 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after } from 'node:test';
+import { createFakeDriver } from '../drivers.js';
+import { runPocSession } from '../index.js';
+
+// Shared setup for runPocSession on the fake driver. `auto` unlocks the extended tool catalog; failures abort so a
+// broken step never reaches the (absent) planner. Test files add their own profiles after it.
+export const AUTO_PROFILE = `profiles:
+  auto:
+    autonomy_level: auto
+    step_retry: 0
+    step_backoff_ms: 0
+    on_error: abort
+`;
+
+// a temp dir removed once the calling test file is done
+export function scratchDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loopert-core-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+export function writeGuardrails(dir, profiles = '') {
+  const file = path.join(dir, 'guardrails.yaml');
+  fs.writeFileSync(file, `${AUTO_PROFILE}${profiles}`);
+  return file;
+}
+
+export function step(tool, args, extra = {}) {
+  return { tool, args, explanation: tool, estimated_risk: 'low', confidence: 0.9, ...extra };
+}
+
+// Runs `steps` as a precomputed plan; `updates` collects every onUpdate message as a string.
+export async function runPlan(steps, { dir, pages = {}, driver = createFakeDriver({ pages }), profile = 'auto', ...options }) {
+  const updates = [];
+  const result = await runPocSession({
+    goal: 'test',
+    precomputedPlan: { reasoning_summary: 'test', plan_id: 'plan-test', autonomy_level: 'auto', steps },
+    driver,
+    confirmPlan: async () => true,
+    configPath: path.join(dir, 'guardrails.yaml'),
+    profile,
+    artifactsDir: path.join(dir, 'artifacts'),
+    workspace: path.join(dir, 'workspace'),
+    onUpdate: (msg) => updates.push(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+    ...options
+  });
+  return { result, driver, updates };
+}
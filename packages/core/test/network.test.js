@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createFakeDriver } from '../drivers.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  quiet:
+    extends: auto
+    block_requests:
+      url_patterns: ['**/api/**']
+`
+);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    interactables: [],
+    responses: [{ url: 'https://example.com/api/items', status: 200, body: '{"items":[1,2]}', headers: { 'content-type': 'application/json' } }]
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+const waitItems = step('wait_for_response', { urlPattern: '**/api/items', timeoutMs: 50 });
+
+describe('network tools', () => {
+  test('wait_for_response returns the response fired by the navigation', async () => {
+    const { result } = await run([open, waitItems]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].output.status, 200);
+    assert.deepEqual(result.steps[1].output.json, { items: [1, 2] });
+  });
+
+  test('mock_response stubs the response a later navigation fires', async () => {
+    const { result } = await run([
+      step('mock_response', { urlPattern: '**/api/items', status: 503, body: { error: 'down' } }),
+      open,
+      waitItems
+    ]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[2].output.status, 503);
+    assert.deepEqual(result.steps[2].output.json, { error: 'down' });
+  });
+
+  test('block_requests drops matching responses', async () => {
+    const { result } = await run([step('block_requests', { urlPatterns: ['**/api/**'] }), open, waitItems]);
+    assert.equal(result.status, 'failed');
+    assert.match(result.steps[2].error, /response_timeout/);
+  });
+
+  test('block_requests without rules fails the step', async () => {
+    const { result } = await run([step('block_requests', {})]);
+    assert.equal(result.steps[0].error, 'block_requests_missing_rules');
+  });
+
+  test('a profile blocklist is installed before the first navigation', async () => {
+    const { result, driver } = await run([open, waitItems], { profile: 'quiet' });
+    assert.equal(result.status, 'failed');
+    const ops = driver.calls.map((c) => c.op);
+    assert.ok(ops.indexOf('blockRequests') < ops.indexOf('navigate'));
+  });
+});
+
+describe('fake driver request rules', () => {
+  test('block and mock rules apply to the responses a page fires', async () => {
+    const driver = createFakeDriver({ pages: PAGES });
+    await driver.mockResponse({ urlPattern: '**/api/items', status: 503, body: 'down', times: 1 });
+    await driver.navigate('https://example.com/');
+    const res = await driver.waitForResponse({ urlPattern: '**/api/items' });
+    assert.equal(res.status, 503);
+    assert.equal(res.ok, false);
+    await driver.blockRequests({ urlPatterns: ['**/api/**'] });
+    await driver.navigate('https://example.com/');
+    await assert.rejects(driver.waitForResponse({ urlPattern: '**/api/items', timeoutMs: 50 }), /response_timeout/);
+  });
+});
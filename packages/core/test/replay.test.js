@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { createFakeDriver } from '../drivers.js';
+import { replayTrace } from '../index.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+const configPath = writeGuardrails(
+  dir,
+  `  fenced:
+    extends: auto
+    allowed_domains: [example.com]
+  careful:
+    extends: auto
+    autonomy_level: semi_auto
+  assisted:
+    extends: auto
+    autonomy_level: assisted
+`
+);
+
+const PAGES = {
+  'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] },
+  'https://other.test/': { title: 'Other', interactables: [] }
+};
+
+let runs = 0;
+// runs `steps` on the fake driver and returns the run directory holding its trace.json
+async function record(steps, options = {}) {
+  const artifactsDir = path.join(dir, `run-${++runs}`);
+  const { result } = await runPlan(steps, { dir, pages: PAGES, artifactsDir, ...options });
+  assert.equal(result.status, 'ok');
+  return artifactsDir;
+}
+
+function replay(source, options = {}) {
+  return replayTrace(source, {
+    driver: createFakeDriver({ pages: PAGES }),
+    configPath,
+    artifactsDir: path.join(dir, `replay-${++runs}`),
+    ...options
+  });
+}
+
+describe('replayTrace', () => {
+  test('re-runs a trace recorded on the fake driver', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' }), step('type', { id: 'q', text: 'shoes' })]);
+    const driver = createFakeDriver({ pages: PAGES });
+    const result = await replay(runDir, { driver });
+    assert.equal(result.status, 'ok');
+    assert.equal(result.profile, 'auto');
+    assert.deepEqual(result.divergences, []);
+    assert.deepEqual(
+      result.steps.map((r) => [r.tool, r.status]),
+      [['navigate', 'ok'], ['type', 'ok']]
+    );
+    assert.equal(driver.values.q, 'shoes');
+  });
+
+  test('reports a step whose outcome differs from the recording', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' }), step('type', { id: 'q', text: 'shoes' })]);
+    const driver = createFakeDriver({ pages: { 'https://example.com/': { title: 'Redesigned', interactables: [] } } });
+    const result = await replay(runDir, { driver });
+    assert.equal(result.status, 'diverged');
+    assert.deepEqual(result.divergences, [{ idx: 1, tool: 'type', recorded: 'ok', replayed: 'error', error: 'selector_not_found' }]);
+  });
+});
+
+describe('replayTrace policies', () => {
+  test('a step the replay profile refuses ends the replay with policy_block', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' }), step('navigate', { url: 'https://other.test/' })]);
+    const driver = createFakeDriver({ pages: PAGES });
+    const result = await replay(runDir, { driver, profile: 'fenced' });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'domain_blocked');
+    assert.equal(result.detail.details.step, 1);
+    assert.equal(await driver.url(), 'https://example.com/');
+  });
+
+  test('steps are gated by the profile autonomy_level, and no approver means no run', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' })]);
+    const driver = createFakeDriver({ pages: PAGES });
+    const result = await replay(runDir, { driver, profile: 'assisted' });
+    assert.equal(result.status, 'rejected_by_user');
+    assert.deepEqual(result.detail, { step: 0, reasons: ['assisted'] });
+    assert.ok(!driver.calls.some((c) => c.op === 'navigate'));
+  });
+
+  test('an edited trace still asks before a high-risk step', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' })]);
+    const trace = JSON.parse(fs.readFileSync(path.join(runDir, 'trace.json'), 'utf8'));
+    trace.steps.push({ idx: 1, tool: 'write_file', args: { path: 'notes.txt', content: 'x' }, estimated_risk: 'low', confidence: 1, status: 'ok' });
+    const asked = [];
+    const result = await replay(trace, {
+      profile: 'careful',
+      workspace: path.join(dir, 'replay-workspace'),
+      approveStep: async ({ step: gated, reasons }) => {
+        asked.push([gated.tool, reasons]);
+        return 'skip';
+      }
+    });
+    assert.deepEqual(asked, [['write_file', ['high_risk']]]);
+    assert.equal(result.steps[1].status, 'skipped');
+    assert.equal(result.status, 'diverged');
+    assert.ok(!fs.existsSync(path.join(dir, 'replay-workspace', 'notes.txt')));
+  });
+});
+
+describe('replayTrace errors', () => {
+  test('a missing trace is reported, not thrown', async () => {
+    const result = await replay(path.join(dir, 'no-such-run'));
+    assert.equal(result.status, 'trace_error');
+    assert.match(result.detail.error, /^trace_not_found:/);
+  });
+
+  test('a malformed trace file is reported as invalid_trace', async () => {
+    const file = path.join(dir, 'broken-trace.json');
+    fs.writeFileSync(file, '{"version": 1, "steps": [');
+    const result = await replay(file);
+    assert.equal(result.status, 'trace_error');
+    assert.equal(result.detail.error, 'invalid_trace');
+    assert.equal(result.detail.details.file, file);
+    assert.equal((await replay({ version: 99, steps: [] })).detail.error, 'invalid_trace');
+  });
+
+  test('an unknown identity is a policy_error', async () => {
+    const runDir = await record([step('navigate', { url: 'https://example.com/' })]);
+    const result = await replay(runDir, { identity: 'nobody', identitiesDir: path.join(dir, 'identities') });
+    assert.equal(result.status, 'policy_error');
+    assert.equal(result.detail, 'identity_not_found');
+  });
+});
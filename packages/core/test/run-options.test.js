@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+
+const PAGES = {
+  'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] },
+  'https://example.com/sorry/': {
+    title: 'Unusual traffic from your network',
+    interactables: [{ id: 'robot', label: "I'm not a robot", role: 'checkbox' }]
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('run options', () => {
+  test('a dry run only executes observing steps', async () => {
+    const { result, driver } = await run(
+      [
+        step('navigate', { url: 'https://example.com/' }),
+        step('type', { id: 'q', text: 'shoes' }),
+        step('extract_text', {})
+      ],
+      { dryRun: true }
+    );
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      result.steps.map((r) => [r.status, r.reason]),
+      [['skipped', 'dry_run'], ['skipped', 'dry_run'], ['ok', undefined]]
+    );
+    assert.ok(!driver.calls.some((c) => ['navigate', 'fill'].includes(c.op)));
+  });
+
+  test('a captcha page is handed to onBlocker, which can end the run', async () => {
+    const seen = [];
+    const { result } = await run([step('navigate', { url: 'https://example.com/sorry/' }), step('extract_text', {})], {
+      onBlocker: async ({ blocker, attempt }) => {
+        seen.push({ ...blocker, attempt });
+        return 'abort';
+      }
+    });
+    assert.equal(result.status, 'blocked');
+    assert.equal(result.detail.step, 0);
+    assert.equal(result.steps.length, 1);
+    assert.deepEqual(seen, [{ kind: 'captcha', url: 'https://example.com/sorry/', reason: 'captcha_url', attempt: 1 }]);
+  });
+
+  test('onBlocker can let the run carry on, and is not asked on clear pages', async () => {
+    const seen = [];
+    const onBlocker = async ({ blocker }) => {
+      seen.push(blocker.url);
+      return 'continue';
+    };
+    const { result } = await run(
+      [step('navigate', { url: 'https://example.com/sorry/' }), step('navigate', { url: 'https://example.com/' })],
+      { onBlocker }
+    );
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[0].blocker.decision, 'continue');
+    assert.equal(result.steps[1].blocker, undefined);
+    assert.deepEqual(seen, ['https://example.com/sorry/']);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { createSecretStore, writeSecretsFile } from '../index.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  ruled:
+    extends: auto
+    tool_rules:
+      navigate:
+        url:
+          deny: ['/admin']
+      type:
+        text:
+          allow: ['[a-z0-9=]+']
+`
+);
+
+const PAGES = {
+  'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+
+describe('secrets in runs', () => {
+  test('secrets reach the driver but never the step log or updates', async () => {
+    const { result, driver, updates } = await run([open, step('type', { id: 'q', text: 'pw={{secret:pw}}' })], {
+      secrets: { pw: 'hunter2' }
+    });
+    assert.equal(result.status, 'ok');
+    assert.equal(driver.values.q, 'pw=hunter2');
+    assert.ok(!JSON.stringify(result.steps).includes('hunter2'));
+    assert.ok(!updates.some((msg) => msg.includes('hunter2')));
+  });
+
+  test('tool rules are checked against the secret value too', async () => {
+    const { result, driver } = await run([step('navigate', { url: '{{secret:dest}}' })], {
+      profile: 'ruled',
+      secrets: { dest: 'https://example.com/admin' }
+    });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'tool_arg_violation');
+    assert.equal(result.detail.details.value, '{{secret:dest}}');
+    assert.ok(!driver.calls.some((c) => c.op === 'navigate'));
+  });
+
+  test('an allow list refuses a secret value it does not match, without echoing it', async () => {
+    const { result, driver } = await run([open, step('type', { id: 'q', text: '{{secret:pw}}' })], {
+      profile: 'ruled',
+      secrets: { pw: 'x; rm -rf' }
+    });
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.details.arg, 'text');
+    assert.ok(!JSON.stringify(result).includes('rm -rf'));
+    assert.equal(driver.values.q, undefined);
+  });
+
+  test('a secret shorter than the minimum is a policy_error', async () => {
+    const { result } = await run([open], { secrets: { pin: '123' } });
+    assert.equal(result.status, 'policy_error');
+    assert.equal(result.detail, 'secret_too_short:pin');
+  });
+});
+
+describe('secret store', () => {
+  test('round-trips through the encrypted file and redacts every value', () => {
+    const file = path.join(dir, 'secrets.json');
+    writeSecretsFile(file, { pin: '1234', token: 'tok-abcdef' }, 'pass');
+    const store = createSecretStore({ file, passphrase: 'pass', env: {} });
+    assert.deepEqual(store.names(), ['pin', 'token']);
+    assert.equal(store.redactString('pin 1234, token tok-abcdef'), 'pin {{secret:pin}}, token {{secret:token}}');
+    assert.throws(() => createSecretStore({ file, passphrase: 'wrong', env: {} }), /secrets_decrypt_failed/);
+  });
+
+  test('short secrets are refused when stored or loaded', () => {
+    assert.throws(() => writeSecretsFile(path.join(dir, 'short.json'), { pin: '123' }, 'pass'), /secret_too_short:pin/);
+    assert.throws(() => createSecretStore({ env: { LOOPERT_SECRET_PIN: '12' } }), /secret_too_short:pin/);
+    assert.throws(() => createSecretStore({ env: {}, values: { pin: '1' } }), /secret_too_short:pin/);
+  });
+});
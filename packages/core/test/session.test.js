@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createDriver, createFakeDriver } from '../drivers.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    interactables: [{ id: 'q', label: 'Search', role: 'textbox' }]
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('runPocSession on the fake driver', () => {
+  test('runs the plan through the driver surface', async () => {
+    const { result, driver } = await run([
+      step('navigate', { url: 'https://example.com/' }),
+      step('type', { id: 'q', text: 'shoes' })
+    ]);
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(result.steps[0].output, { status: 200, url: 'https://example.com/', title: 'Example' });
+    assert.equal(driver.values.q, 'shoes');
+  });
+
+  test('a driver instance belongs to the caller and is left open', async () => {
+    const { driver } = await run([step('navigate', { url: 'https://example.com/' })]);
+    assert.ok(!driver.calls.some((c) => c.op === 'close'));
+  });
+});
+
+describe('createFakeDriver', () => {
+  test('is available through createDriver', async () => {
+    const driver = await createDriver('fake', { pages: PAGES });
+    assert.equal(driver.name, 'fake');
+    await assert.rejects(createDriver('nope'), /unknown_driver_nope/);
+  });
+
+  test('records calls and rejects unknown ids', async () => {
+    const driver = createFakeDriver({ pages: PAGES });
+    await driver.navigate('https://example.com/');
+    await driver.fill('Search', 'shoes');
+    await assert.rejects(driver.click('missing'), /selector_not_found/);
+    assert.deepEqual(driver.values, { Search: 'shoes' });
+    assert.deepEqual(
+      driver.calls.map((c) => c.op),
+      ['navigate', 'fill', 'click']
+    );
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { before, describe, test } from 'node:test';
+import { detectSandboxBackend, runShell } from '../shell-sandbox.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  shelly:
+    extends: auto
+    blocked_tools: []
+`
+);
+const cwd = path.join(dir, 'workspace');
+fs.mkdirSync(cwd, { recursive: true });
+
+// Backend detection is cached per process (node --test runs each file in its own), so probing once with no
+// bwrap/unshare on PATH stands in for a host without a sandbox backend for every test in this file.
+before(() => {
+  const hostPath = process.env.PATH;
+  process.env.PATH = path.join(dir, 'empty-bin');
+  try {
+    assert.equal(detectSandboxBackend(), null);
+  } finally {
+    process.env.PATH = hostPath;
+  }
+});
+
+// a killed child whose parent is gone may linger as a zombie until something reaps it
+function alive(pid) {
+  try {
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (_) {
+    return false;
+  }
+}
+
+const host = { mode: 'host' };
+const unconfined = { require_isolation: false };
+
+describe('runShell', () => {
+  test('isolation is required by default when no backend exists', async () => {
+    await assert.rejects(runShell('true', { cwd }), /shell_sandbox_unavailable/);
+    await assert.rejects(runShell('true', { cwd, policy: { require_isolation: true } }), /shell_sandbox_unavailable/);
+  });
+
+  test('require_isolation: false runs with a scrubbed env', async () => {
+    process.env.LOOPERT_SECRET_TEST_TOKEN = 'leak-me';
+    process.env.LOOPERT_TEST_PASSED = 'kept';
+    try {
+      const res = await runShell('env', { cwd, policy: { ...unconfined, env: ['LOOPERT_TEST_PASSED'] } });
+      assert.equal(res.exitCode, 0);
+      assert.equal(res.sandbox, 'none');
+      const names = res.stdout
+        .trim()
+        .split('\n')
+        .map((line) => line.split('=')[0])
+        .filter((name) => !['PWD', 'SHLVL', '_', 'OLDPWD'].includes(name));
+      assert.deepEqual(names.sort(), ['HOME', 'LANG', 'LOOPERT_TEST_PASSED', 'PATH', 'TMPDIR']);
+      assert.match(res.stdout, new RegExp(`^HOME=${cwd}$`, 'm'));
+      assert.ok(!res.stdout.includes('leak-me'));
+    } finally {
+      delete process.env.LOOPERT_SECRET_TEST_TOKEN;
+      delete process.env.LOOPERT_TEST_PASSED;
+    }
+  });
+
+  test('mode: host keeps the host env', async () => {
+    process.env.LOOPERT_TEST_PASSED = 'host';
+    try {
+      const res = await runShell('echo "$LOOPERT_TEST_PASSED"', { cwd, policy: host });
+      assert.equal(res.sandbox, 'host');
+      assert.equal(res.stdout, 'host\n');
+    } finally {
+      delete process.env.LOOPERT_TEST_PASSED;
+    }
+  });
+
+  test('the timeout kills the whole process group', async () => {
+    const res = await runShell('sleep 30 & echo $!; wait', { cwd, policy: { ...host, timeout_ms: 300 } });
+    assert.equal(res.timedOut, true);
+    assert.equal(res.signal, 'SIGKILL');
+    const background = Number(res.stdout.trim());
+    assert.ok(background > 0);
+    assert.equal(alive(background), false);
+  });
+
+  test('output past max_output_bytes is cut and the command stopped', async () => {
+    const res = await runShell('yes loopert', { cwd, policy: { ...unconfined, max_output_bytes: 1000 } });
+    assert.equal(res.truncated, true);
+    assert.equal(res.stdout.length, 1000);
+    assert.equal(res.timedOut, false);
+    assert.equal(res.signal, 'SIGKILL');
+  });
+
+  test('stdout, stderr and the exit code are reported', async () => {
+    const res = await runShell('echo out; echo err >&2; exit 3', { cwd, policy: host });
+    assert.deepEqual([res.stdout, res.stderr, res.exitCode, res.truncated], ['out\n', 'err\n', 3, false]);
+  });
+});
+
+describe('shell tool', () => {
+  test('a missing backend fails the step with shell_sandbox_unavailable', async () => {
+    const { result } = await runPlan([step('shell', { cmd: 'true' })], { dir, profile: 'shelly' });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps[0].error, 'shell_sandbox_unavailable');
+  });
+});
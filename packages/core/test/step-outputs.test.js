@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { resolveStepTemplates } from '../index.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    texts: { '#price': '42' },
+    interactables: [{ id: 'q', label: 'Search', role: 'textbox' }]
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('step outputs', () => {
+  test('feeds an earlier output into a later step', async () => {
+    const { result, driver } = await run([
+      step('navigate', { url: 'https://example.com/' }),
+      step('extract_text', { selector: '#price' }),
+      step('type', { id: 'q', text: 'under {{steps.1.output.text}}' })
+    ]);
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(result.steps[0].output, { status: 200, url: 'https://example.com/', title: 'Example' });
+    assert.equal(result.steps[2].resolvedArgs.text, 'under 42');
+    assert.equal(result.steps[2].args.text, 'under {{steps.1.output.text}}');
+    assert.equal(driver.values.q, 'under 42');
+  });
+
+  test('an unresolvable template fails the step before the driver is touched', async () => {
+    const { result, driver } = await run([
+      step('navigate', { url: 'https://example.com/' }),
+      step('type', { id: 'q', text: '{{steps.5.output.text}}' })
+    ]);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps[1].error, 'template_unresolved:{{steps.5.output.text}}');
+    assert.equal(driver.values.q, undefined);
+  });
+
+  test('a whole-value placeholder keeps the referenced type', () => {
+    const steps = [{ output: { rows: [1, 2], count: 2 } }];
+    assert.deepEqual(resolveStepTemplates({ rows: '{{steps.0.output.rows}}' }, steps), { rows: [1, 2] });
+    assert.equal(resolveStepTemplates('n={{ steps.0.output.count }}', steps), 'n=2');
+  });
+});
@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { registerPlannerAdapter } from '@loopert/llm';
+import { describe, test } from 'node:test';
+import { createFakeDriver } from '../drivers.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  retrying:
+    extends: auto
+    step_retry: 2
+    step_backoff_ms: 20
+  timed:
+    extends: auto
+    step_timeout_ms: 50
+  tolerant:
+    extends: auto
+    on_error: continue
+  replanning:
+    extends: auto
+    max_steps: 5
+    on_error: replan
+  asking:
+    extends: auto
+    on_error: ask_human
+`
+);
+
+// the replan branch observes the page and asks this planner, which reports the goal done
+const plannerCalls = [];
+registerPlannerAdapter('stub', () => ({
+  name: 'stub',
+  model: 'stub',
+  async complete(messages) {
+    plannerCalls.push(messages);
+    return JSON.stringify({ reasoning_summary: 'done', plan_id: 'plan-done', autonomy_level: 'auto', status: 'done', steps: [] });
+  }
+}));
+
+const PAGES = {
+  'https://example.com/': { title: 'Example', interactables: [{ id: 'go', label: 'Go', role: 'button' }] }
+};
+
+// a fake driver whose click fails `failures` times with `error` before behaving normally
+function flakyDriver(failures, error = 'flaky_click') {
+  const driver = createFakeDriver({ pages: PAGES });
+  const click = driver.click;
+  let left = failures;
+  driver.click = async (...args) => {
+    if (left-- > 0) throw new Error(error);
+    return click(...args);
+  };
+  return driver;
+}
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+
+describe('retries', () => {
+  test('a failed step is retried with exponential backoff until it passes', async () => {
+    const t0 = Date.now();
+    const { result, updates } = await run([open, step('click', { id: 'go' })], { profile: 'retrying', driver: flakyDriver(2) });
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].attempts, 3);
+    // 20ms, then 40ms
+    assert.ok(Date.now() - t0 >= 60);
+    assert.ok(updates.some((msg) => msg.includes('retry 2/2 in 40ms')));
+  });
+
+  test('gives up once the retries are spent', async () => {
+    const { result } = await run([open, step('click', { id: 'go' })], { profile: 'retrying', driver: flakyDriver(3) });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'flaky_click');
+    assert.equal(result.steps[1].attempts, 3);
+  });
+
+  test('errors a retry cannot fix are not retried', async () => {
+    const { result } = await run([open, step('click', { id: '{{steps.9.output.id}}' })], { profile: 'retrying' });
+    assert.equal(result.steps[1].attempts, 1);
+  });
+
+  test('a step-level retry count wins over the profile', async () => {
+    const { result } = await run([open, step('click', { id: 'go' }, { retry: { count: 1, backoffMs: 0 } })], { driver: flakyDriver(1) });
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].attempts, 2);
+  });
+});
+
+describe('step_timeout_ms', () => {
+  test('a step that outlives the timeout fails with step_timeout', async () => {
+    const driver = createFakeDriver({ pages: PAGES });
+    driver.click = () => new Promise(() => { });
+    const { result } = await run([open, step('click', { id: 'go' })], { profile: 'timed', driver });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps[1].error, 'step_timeout');
+  });
+});
+
+describe('on_error', () => {
+  test('abort ends the run at the failed step', async () => {
+    const { result } = await run([open, step('click', { id: 'gone' }), step('scroll', { deltaY: 10 })]);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps.length, 2);
+    assert.equal(result.steps[1].on_error, 'abort');
+  });
+
+  test('continue records the failure and runs the next step', async () => {
+    const { result } = await run([open, step('click', { id: 'gone' }), step('scroll', { deltaY: 10 })], { profile: 'tolerant' });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      result.steps.map((r) => r.status),
+      ['ok', 'error', 'ok']
+    );
+    assert.equal(result.steps[1].on_error, 'continue');
+  });
+
+  test('a step-level on_error wins over the profile', async () => {
+    const { result } = await run([open, step('click', { id: 'gone' }, { on_error: 'continue' }), step('scroll', { deltaY: 10 })]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps.length, 3);
+  });
+
+  test('replan hands the rest of the run to the planner after a fresh look at the page', async () => {
+    plannerCalls.length = 0;
+    const { result } = await run([open, step('click', { id: 'gone' }), step('scroll', { deltaY: 10 })], {
+      profile: 'replanning',
+      provider: 'stub'
+    });
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps.length, 2);
+    assert.equal(result.steps[1].on_error, 'replan');
+    assert.equal(plannerCalls.length, 1);
+    // the unexecuted step is offered back to the planner
+    assert.match(plannerCalls[0].at(-1).content, /scroll/);
+  });
+
+  test('ask_human defers to onStepError, which may retry the step', async () => {
+    const asked = [];
+    const answers = ['retry', 'continue'];
+    const { result } = await run([open, step('click', { id: 'go' }), step('scroll', { deltaY: 10 })], {
+      profile: 'asking',
+      driver: flakyDriver(2),
+      onStepError: async ({ idx, record }) => {
+        asked.push([idx, record.error]);
+        return answers.shift();
+      }
+    });
+    assert.deepEqual(asked, [
+      [1, 'flaky_click'],
+      [1, 'flaky_click']
+    ]);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].on_error, 'continue');
+    assert.equal(result.steps[1].attempts, 2);
+  });
+
+  test('ask_human without onStepError aborts', async () => {
+    const { result } = await run([open, step('click', { id: 'gone' })], { profile: 'asking' });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.steps[1].on_error, 'abort');
+  });
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createFakeDriver } from '../drivers.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  popups:
+    extends: auto
+    follow_popups: true
+`
+);
+
+const PAGES = {
+  'https://a.test/': { title: 'A', interactables: [{ id: 'open', label: 'Open' }], popups: { open: 'https://b.test/' } },
+  'https://b.test/': { title: 'B', interactables: [] }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+describe('tabs and popups', () => {
+  test('a popup is followed under follow_popups and switch_tab goes back', async () => {
+    const { result, driver } = await run(
+      [
+        step('navigate', { url: 'https://a.test/' }),
+        step('click', { id: 'open' }),
+        step('list_tabs', {}),
+        step('switch_tab', { tab: 't1' })
+      ],
+      { profile: 'popups' }
+    );
+    assert.equal(result.status, 'ok');
+    assert.equal(result.steps[1].output.popup.followed, true);
+    assert.equal(result.steps[2].output.count, 2);
+    assert.equal(result.steps[2].output.tabs.find((t) => t.active).url, 'https://b.test/');
+    assert.equal(await driver.url(), 'https://a.test/');
+  });
+
+  test('without follow_popups the opener stays active', async () => {
+    const { result, driver } = await run([step('navigate', { url: 'https://a.test/' }), step('click', { id: 'open' })]);
+    assert.equal(result.steps[1].output.popup.followed, false);
+    assert.equal(await driver.url(), 'https://a.test/');
+  });
+
+  test('the fake driver opens popups as tabs that can be switched and closed', async () => {
+    const driver = createFakeDriver({ pages: PAGES });
+    await driver.navigate('https://a.test/');
+    const { popup } = await driver.click('open');
+    assert.equal(popup.url, 'https://b.test/');
+    assert.equal((await driver.tabs()).length, 2);
+    await driver.switchTab(popup.id);
+    assert.equal(await driver.url(), 'https://b.test/');
+    await driver.closeTab();
+    assert.equal(await driver.url(), 'https://a.test/');
+    await assert.rejects(driver.closeTab(), /cannot_close_last_tab/);
+  });
+});
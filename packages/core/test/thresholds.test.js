@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { registerPlannerAdapter } from '@loopert/llm';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  confident:
+    extends: auto
+    max_steps: 5
+    min_confidence: 0.6
+  capped:
+    extends: auto
+    blocked_tools: []
+    max_risk_without_approval: medium
+  budgeted:
+    extends: auto
+    blocked_tools: []
+    max_high_risk_steps: 1
+`
+);
+
+// a step under min_confidence sends the page back to this planner, which reports the goal done
+const plannerCalls = [];
+registerPlannerAdapter('stub', () => ({
+  name: 'stub',
+  model: 'stub',
+  async complete(messages) {
+    plannerCalls.push(messages);
+    return JSON.stringify({ reasoning_summary: 'done', plan_id: 'plan-done', autonomy_level: 'auto', status: 'done', steps: [] });
+  }
+}));
+
+const PAGES = { 'https://example.com/': { title: 'Example', interactables: [{ id: 'q', label: 'Search', role: 'textbox' }] } };
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, provider: 'stub', ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+const save = (name) => step('write_file', { path: `${name}.txt`, content: 'x' });
+
+describe('min_confidence', () => {
+  test('a step exactly at the threshold runs', async () => {
+    plannerCalls.length = 0;
+    const { result, driver } = await run([open, step('type', { id: 'q', text: 'shoes' }, { confidence: 0.6 })], {
+      profile: 'confident'
+    });
+    assert.equal(result.status, 'ok');
+    assert.equal(driver.values.q, 'shoes');
+    assert.equal(plannerCalls.length, 0);
+  });
+
+  test('a step below it is not run and the planner is asked again', async () => {
+    plannerCalls.length = 0;
+    const { result, driver } = await run([open, step('type', { id: 'q', text: 'shoes' }, { confidence: 0.59 })], {
+      profile: 'confident'
+    });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(
+      [result.steps[1].status, result.steps[1].reason, result.steps[1].confidence],
+      ['skipped', 'low_confidence', 0.59]
+    );
+    assert.equal(driver.values.q, undefined);
+    assert.equal(plannerCalls.length, 1);
+  });
+});
+
+describe('max_risk_without_approval', () => {
+  function approver() {
+    const asked = [];
+    const approveStep = async ({ step: gated, reasons }) => {
+      asked.push([gated.tool, reasons]);
+      return 'approve';
+    };
+    return { asked, approveStep };
+  }
+
+  test('a step at the threshold runs without asking', async () => {
+    const { asked, approveStep } = approver();
+    const { result } = await run([open, step('type', { id: 'q', text: 'shoes' }, { estimated_risk: 'medium' })], {
+      profile: 'capped',
+      approveStep
+    });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(asked, []);
+  });
+
+  test('a step above it is asked about, by catalog risk even when estimated low', async () => {
+    const { asked, approveStep } = approver();
+    const { result } = await run([open, step('type', { id: 'q', text: 'shoes' }, { estimated_risk: 'high' }), save('a')], {
+      profile: 'capped',
+      approveStep
+    });
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(asked, [
+      ['type', ['risk_above_threshold']],
+      ['write_file', ['risk_above_threshold']]
+    ]);
+  });
+
+  test('without an approver a step above it is rejected', async () => {
+    const { result } = await run([open, save('b')], { profile: 'capped' });
+    assert.equal(result.status, 'rejected_by_user');
+    assert.deepEqual(result.detail, { step: 1, reasons: ['risk_above_threshold'] });
+  });
+});
+
+describe('max_high_risk_steps', () => {
+  test('a plan within the budget runs', async () => {
+    const { result } = await run([open, save('c')], { profile: 'budgeted' });
+    assert.equal(result.status, 'ok');
+  });
+
+  test('a plan over the budget is refused before any step runs', async () => {
+    const { result, driver } = await run([open, save('d'), save('e')], { profile: 'budgeted' });
+    assert.equal(result.status, 'policy_block');
+    assert.deepEqual(result.detail, { error: 'too_many_high_risk_steps', details: { max: 1, actual: 2, steps: [1, 2] } });
+    assert.ok(!driver.calls.some((c) => c.op === 'navigate'));
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { canonicalArgs, checkToolArgs } from '../tool-rules.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  ruled:
+    extends: auto
+    tool_rules:
+      navigate:
+        url:
+          deny: ['/admin']
+      scroll:
+        y:
+          max: 500
+`
+);
+
+const PAGES = { 'https://example.com/': { title: 'Example', interactables: [] } };
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, profile: 'ruled', ...options });
+}
+
+const gitOnly = { shell: { cmd: { allow: ['git (status|log)( --?[a-z-]+)*'] } } };
+
+describe('checkToolArgs', () => {
+  test('an allowed shell command passes', () => {
+    assert.equal(checkToolArgs(gitOnly, 'shell', { cmd: 'git log --oneline' }), null);
+  });
+
+  test('separators, pipes and substitutions are refused once cmd has an allow list', () => {
+    for (const cmd of ['git status; id', 'git status | sh', 'git log $(id)', 'git log `id`', 'git status && id']) {
+      const violation = checkToolArgs(gitOnly, 'shell', { cmd });
+      assert.equal(violation?.rule, 'shell_metacharacters', cmd);
+      assert.equal(violation.value, cmd);
+    }
+    // without an allow list a deny rule alone decides
+    assert.equal(checkToolArgs({ shell: { cmd: { deny: ['rm '] } } }, 'shell', { cmd: 'ls | wc -l' }), null);
+  });
+
+  test('allow patterns must match the whole value', () => {
+    const violation = checkToolArgs(gitOnly, 'shell', { cmd: 'git status --short x' });
+    assert.equal(violation.rule, 'allow');
+    assert.deepEqual(violation.expected, gitOnly.shell.cmd.allow);
+    const apiOnly = { fetch: { url: { allow: ['https://api\\.test/.*'] } } };
+    assert.equal(checkToolArgs(apiOnly, 'fetch', { url: 'https://evil.test/?https://api.test/' }).rule, 'allow');
+  });
+
+  test('unknown rule keys and bad regexes fail closed', () => {
+    assert.deepEqual(checkToolArgs({ navigate: { url: { alow: ['.*'] } } }, 'navigate', { url: 'https://x.test/' }), {
+      tool: 'navigate',
+      arg: 'url',
+      rule: 'invalid_rule',
+      expected: 'alow'
+    });
+    const broken = { navigate: { url: { deny: ['('] } } };
+    assert.equal(checkToolArgs(broken, 'navigate', { url: 'https://x.test/' }).rule, 'invalid_rule');
+  });
+
+  test('aliased args are folded into the canonical name before rules are checked', () => {
+    assert.deepEqual(canonicalArgs('navigate', { href: 'https://a.test/' }), { url: 'https://a.test/' });
+    assert.deepEqual(canonicalArgs('navigate', { url: 'https://a.test/', to: 'https://b.test/' }), { url: 'https://a.test/' });
+    const rules = { navigate: { url: { deny: ['/admin'] } } };
+    assert.equal(checkToolArgs(rules, 'navigate', { href: 'https://a.test/admin' }).arg, 'url');
+    // a rule written against the alias guards the canonical arg
+    assert.equal(checkToolArgs({ scroll: { y: { max: 500 } } }, 'scroll', { deltaY: 900 }).rule, 'max');
+  });
+
+  test('dotted args, arrays and required', () => {
+    const rules = {
+      fill_form: { 'fields.email': { allow: ['[^@]+@example\\.com'] } },
+      block_requests: { urlPatterns: { required: true, deny: ['\\*\\*'] } }
+    };
+    assert.equal(checkToolArgs(rules, 'fill_form', { fields: { email: 'a@example.com' } }), null);
+    assert.equal(checkToolArgs(rules, 'fill_form', { fields: { email: 'a@evil.test' } }).arg, 'fields.email');
+    assert.equal(checkToolArgs(rules, 'block_requests', { resourceTypes: ['image'] }).rule, 'required');
+    assert.equal(checkToolArgs(rules, 'block_requests', { urls: ['/ok', '**'] }).value, '**');
+  });
+});
+
+describe('tool rules in runs', () => {
+  test('an alias cannot slip past a rule on the canonical arg', async () => {
+    const { result, driver } = await run([step('navigate', { href: 'https://example.com/admin' })]);
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'tool_arg_violation');
+    assert.equal(result.detail.details.arg, 'url');
+    assert.ok(!driver.calls.some((c) => c.op === 'navigate'));
+  });
+
+  test('a templated arg is checked once it is resolved', async () => {
+    const { result } = await run([
+      step('navigate', { url: 'https://example.com/' }),
+      step('scroll', { y: '{{steps.0.output.status}}0' })
+    ]);
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.details.step, 1);
+    assert.equal(result.detail.details.rule, 'max');
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(dir);
+const workspace = path.join(dir, 'workspace');
+
+const PAGES = {
+  'https://example.com/': {
+    title: 'Example',
+    interactables: [
+      { id: 'report', label: 'Report', role: 'link' },
+      { id: 'file', label: 'Attachment', role: 'button' }
+    ],
+    downloads: { report: { filename: '../report.csv', content: 'a,b\n1,2\n' } }
+  }
+};
+
+function run(steps, options = {}) {
+  return runPlan(steps, { dir, pages: PAGES, ...options });
+}
+
+const open = step('navigate', { url: 'https://example.com/' });
+
+describe('wait_for_download', () => {
+  test('saves under downloads/ with the suggested name reduced to a file name', async () => {
+    const { result } = await run([open, step('click', { id: 'report' }), step('wait_for_download', {})]);
+    assert.equal(result.status, 'ok');
+    const { output } = result.steps[2];
+    assert.equal(fs.realpathSync(output.path), path.join(fs.realpathSync(workspace), 'downloads', 'report.csv'));
+    assert.equal(fs.readFileSync(output.path, 'utf8'), 'a,b\n1,2\n');
+    assert.equal(output.bytes, 8);
+    assert.match(output.sha256, /^[0-9a-f]{64}$/);
+  });
+
+  test('refuses to overwrite an existing file unless asked to', async () => {
+    const download = [open, step('click', { id: 'report' })];
+    const first = await run([...download, step('wait_for_download', { saveAs: 'out/report.csv' })]);
+    assert.equal(first.result.status, 'ok');
+    const second = await run([...download, step('wait_for_download', { saveAs: 'out/report.csv' })]);
+    assert.equal(second.result.status, 'failed');
+    assert.match(second.result.steps[2].error, /download_target_exists/);
+    const third = await run([...download, step('wait_for_download', { saveAs: 'out/report.csv', overwrite: true })]);
+    assert.equal(third.result.status, 'ok');
+    // no .part file is left next to the target
+    assert.deepEqual(fs.readdirSync(path.join(workspace, 'out')), ['report.csv']);
+  });
+
+  test('a saveAs outside the workspace is a sandbox violation', async () => {
+    const { result } = await run([open, step('click', { id: 'report' }), step('wait_for_download', { saveAs: '../escaped.csv' })]);
+    assert.equal(result.steps[2].error, 'sandbox_violation');
+    assert.ok(!fs.existsSync(path.join(dir, 'escaped.csv')));
+  });
+});
+
+describe('upload', () => {
+  test('attaches a workspace file by its resolved path', async () => {
+    fs.mkdirSync(workspace, { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'cv.pdf'), 'pdf');
+    const { result, driver } = await run([open, step('upload', { id: 'file', path: 'cv.pdf' })]);
+    assert.equal(result.status, 'ok');
+    assert.equal(driver.uploads.file, result.steps[1].output.path);
+    assert.equal(result.steps[1].output.bytes, 3);
+  });
+
+  test('a missing file fails before the driver is called', async () => {
+    const { result, driver } = await run([open, step('upload', { id: 'file', path: 'nope.pdf' })]);
+    assert.equal(result.steps[1].error, 'upload_file_not_found');
+    assert.deepEqual(driver.uploads, {});
+  });
+});
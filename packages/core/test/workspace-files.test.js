@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { createWorkspaceFiles, FILE_AUDIT_FILE, resolveSandboxPath } from '../workspace-files.js';
+import { runPlan, scratchDir, step, writeGuardrails } from './helpers.js';
+
+const dir = scratchDir();
+writeGuardrails(
+  dir,
+  `  files:
+    extends: auto
+    blocked_tools: []
+    file_quota:
+      read_bytes: 10
+      write_bytes: 10
+`
+);
+
+const root = path.join(dir, 'workspace');
+fs.mkdirSync(root, { recursive: true });
+fs.mkdirSync(path.join(dir, 'workspace-evil'), { recursive: true });
+fs.writeFileSync(path.join(dir, 'workspace-evil', 'loot.txt'), 'loot');
+fs.writeFileSync(path.join(dir, 'outside.txt'), 'outside');
+fs.symlinkSync(dir, path.join(root, 'up'));
+
+function readAudit(artifactsDir) {
+  return fs
+    .readFileSync(path.join(artifactsDir, FILE_AUDIT_FILE), 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+}
+
+describe('resolveSandboxPath', () => {
+  test('paths inside the workspace resolve to their real location', () => {
+    assert.equal(resolveSandboxPath(root, 'a/b.txt'), path.join(fs.realpathSync(root), 'a', 'b.txt'));
+    assert.equal(resolveSandboxPath(root, 'a/../b.txt'), path.join(fs.realpathSync(root), 'b.txt'));
+  });
+
+  test('a sibling directory sharing the prefix is outside', () => {
+    assert.throws(() => resolveSandboxPath(root, '../workspace-evil/loot.txt'), /sandbox_violation/);
+    assert.throws(() => resolveSandboxPath(root, path.join(dir, 'workspace-evil', 'loot.txt')), /sandbox_violation/);
+  });
+
+  test('.. traversal and absolute paths are refused', () => {
+    assert.throws(() => resolveSandboxPath(root, '../outside.txt'), /sandbox_violation/);
+    assert.throws(() => resolveSandboxPath(root, 'a/../../outside.txt'), /sandbox_violation/);
+    assert.throws(() => resolveSandboxPath(root, '/etc/passwd'), /sandbox_violation/);
+    assert.throws(() => resolveSandboxPath(root, ''), /sandbox_violation/);
+  });
+
+  test('a symlink out of the workspace is followed and refused, for new files too', () => {
+    assert.throws(() => resolveSandboxPath(root, 'up/outside.txt'), /sandbox_violation/);
+    assert.throws(() => resolveSandboxPath(root, 'up/new/file.txt'), /sandbox_violation/);
+  });
+});
+
+describe('createWorkspaceFiles', () => {
+  test('quotas stop reads and writes before the bytes move, and every operation is audited', () => {
+    const artifactsDir = path.join(dir, 'unit-artifacts');
+    const files = createWorkspaceFiles({ root, artifactsDir, quota: { read_bytes: 6, write_bytes: 8 } });
+    files.write('write_file', 'q/one.txt', Buffer.from('12345'));
+    assert.throws(() => files.write('write_file', 'q/two.txt', Buffer.from('6789')), /file_quota_exceeded/);
+    assert.ok(!fs.existsSync(path.join(root, 'q', 'two.txt')));
+    files.read('read_file', 'q/one.txt');
+    assert.throws(() => files.read('read_file', 'q/one.txt'), /file_quota_exceeded/);
+    assert.throws(() => files.read('read_file', '../outside.txt'), /sandbox_violation/);
+    assert.deepEqual(files.usage, { read: 5, write: 5 });
+
+    const entries = readAudit(artifactsDir);
+    assert.deepEqual(
+      entries.map((e) => [e.tool, e.op, e.path, e.status, e.error]),
+      [
+        ['write_file', 'write', path.join('q', 'one.txt'), 'ok', undefined],
+        ['write_file', 'write', path.join('q', 'two.txt'), 'denied', 'file_quota_exceeded'],
+        ['read_file', 'read', path.join('q', 'one.txt'), 'ok', undefined],
+        ['read_file', 'read', path.join('q', 'one.txt'), 'denied', 'file_quota_exceeded'],
+        ['read_file', 'read', '../outside.txt', 'denied', 'sandbox_violation']
+      ]
+    );
+    assert.equal(entries[0].bytes, 5);
+    assert.match(entries[0].sha256, /^[0-9a-f]{64}$/);
+    assert.deepEqual([entries[1].limit, entries[1].used, entries[1].bytes], [8, 5, 4]);
+  });
+
+  test('no quota means unlimited', () => {
+    const files = createWorkspaceFiles({ root, quota: {} });
+    files.write('write_file', 'big.txt', Buffer.alloc(100000));
+    assert.equal(files.read('read_file', 'big.txt').buffer.length, 100000);
+  });
+});
+
+describe('file tools in runs', () => {
+  test('a write over the profile quota ends the run with policy_block and is audited', async () => {
+    const { result } = await runPlan(
+      [step('write_file', { path: 'a.txt', content: '12345678' }), step('write_file', { path: 'b.txt', content: '12345' })],
+      { dir, profile: 'files' }
+    );
+    assert.equal(result.status, 'policy_block');
+    assert.equal(result.detail.error, 'file_quota_exceeded');
+    assert.ok(!fs.existsSync(path.join(root, 'b.txt')));
+    const entries = readAudit(path.join(dir, 'artifacts'));
+    assert.deepEqual(
+      entries.slice(-2).map((e) => [e.path, e.status]),
+      [['a.txt', 'ok'], ['b.txt', 'denied']]
+    );
+  });
+
+  test('read_file through a symlink out of the workspace is a sandbox violation', async () => {
+    const { result } = await runPlan([step('read_file', { path: 'up/outside.txt' })], { dir, profile: 'files' });
+    assert.equal(result.steps[0].error, 'sandbox_violation');
+  });
+});
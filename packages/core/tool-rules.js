@@ -0,0 +1,155 @@
+import path from 'path';
+
+// Declarative per-tool argument rules: a profile's `tool_rules` maps tool -> arg -> constraints, e.g.
+//   tool_rules:
+//     shell: { cmd: { allow: ['git (status|log)( --?[a-z-]+)*'] } }
+//     write_file: { path: { globs: ['reports/**'] } }
+//     fetch: { method: { enum: [GET] } }
+// Constraints: allow (regexes that must match the whole value) / deny (regexes searched anywhere), globs (workspace-relative path globs), enum, min_length / max_length,
+// min / max (numbers) and required. An arg may be a dotted path (`fields.email`); array values are checked
+// item by item. Absent args are skipped unless `required: true`. `shell`'s cmd runs through `sh -c`, so once it has
+// an allow list, command separators, substitutions and redirections are refused outright: `echo hi; id` must not
+// pass as an `echo` command.
+
+const SHELL_METACHARACTERS = /[;&|`$()<>\r\n]/;
+const RULE_KEYS = ['allow', 'deny', 'globs', 'enum', 'min_length', 'max_length', 'min', 'max', 'required'];
+
+// Alternative arg names the planner may use. They are folded into the canonical name before rules are checked
+// and before the step runs, so `scroll { y }` or `navigate { href }` cannot slip past a rule on deltaY / url.
+const ARG_ALIASES = {
+  navigate: { url: ['href', 'target', 'to'] },
+  long_press: { id: ['label'] },
+  select_option: { values: ['value', 'label'] },
+  scroll: { deltaY: ['y'] },
+  block_requests: { resourceTypes: ['types'], urlPatterns: ['urls', 'urlPattern'] },
+  switch_tab: { tab: ['id', 'index'] },
+  close_tab: { tab: ['id', 'index'] }
+};
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function getArg(args, key) {
+  return String(key)
+    .split('.')
+    .reduce((acc, part) => (acc && typeof acc === 'object' ? acc[part] : undefined), args);
+}
+
+function globToRegExp(glob) {
+  const escape = (part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const body = String(glob)
+    .split('**')
+    .map((chunk) => chunk.split('*').map(escape).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${body}$`);
+}
+
+// paths are compared the way the sandbox sees them: relative, forward slashes, no ./ or ../ detours
+function normalizePath(value) {
+  const text = path.posix.normalize(String(value).replace(/\\/g, '/'));
+  return text.replace(/^\.\//, '');
+}
+
+function checkValue(value, rule) {
+  if (rule.allow !== undefined) {
+    const text = String(value);
+    if (!toArray(rule.allow).some((re) => new RegExp(`^(?:${re})$`).test(text))) return { rule: 'allow', expected: toArray(rule.allow) };
+  }
+  if (rule.deny !== undefined) {
+    const text = String(value);
+    const hit = toArray(rule.deny).find((re) => new RegExp(re).test(text));
+    if (hit !== undefined) return { rule: 'deny', expected: hit };
+  }
+  if (rule.globs !== undefined) {
+    const target = normalizePath(value);
+    if (!toArray(rule.globs).some((glob) => globToRegExp(normalizePath(glob)).test(target))) {
+      return { rule: 'globs', expected: toArray(rule.globs) };
+    }
+  }
+  if (rule.enum !== undefined) {
+    const options = toArray(rule.enum).map((o) => String(o).toLowerCase());
+    if (!options.includes(String(value).toLowerCase())) return { rule: 'enum', expected: toArray(rule.enum) };
+  }
+  if (rule.min_length !== undefined && String(value).length < Number(rule.min_length)) {
+    return { rule: 'min_length', expected: Number(rule.min_length), actual: String(value).length };
+  }
+  if (rule.max_length !== undefined && String(value).length > Number(rule.max_length)) {
+    return { rule: 'max_length', expected: Number(rule.max_length), actual: String(value).length };
+  }
+  if (rule.min !== undefined || rule.max !== undefined) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return { rule: 'number', expected: { min: rule.min, max: rule.max } };
+    if (rule.min !== undefined && num < Number(rule.min)) return { rule: 'min', expected: Number(rule.min), actual: num };
+    if (rule.max !== undefined && num > Number(rule.max)) return { rule: 'max', expected: Number(rule.max), actual: num };
+  }
+  return null;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// args with every alias replaced by its canonical name; the canonical arg wins, then aliases in listed order
+export function canonicalArgs(tool, args) {
+  const aliases = ARG_ALIASES[tool];
+  if (!aliases || !args || typeof args !== 'object' || Array.isArray(args)) return args;
+  const out = { ...args };
+  for (const [name, alternatives] of Object.entries(aliases)) {
+    for (const alias of alternatives) {
+      if (isEmpty(out[name]) && !isEmpty(out[alias])) out[name] = out[alias];
+      delete out[alias];
+    }
+  }
+  return out;
+}
+
+function canonicalArgName(tool, arg) {
+  const [head, ...rest] = String(arg).split('.');
+  const name = Object.entries(ARG_ALIASES[tool] || {}).find(([, alternatives]) => alternatives.includes(head))?.[0];
+  return name ? [name, ...rest].join('.') : arg;
+}
+
+// Returns null when the args pass, or { tool, arg, rule, expected, actual?, value? } for the first violation.
+// `skip(value)` lets the caller defer values it cannot judge yet (templates before they are resolved).
+export function checkToolArgs(toolRules, tool, args = {}, { skip = () => false } = {}) {
+  const rules = toolRules?.[tool];
+  if (!rules || typeof rules !== 'object') return null;
+  args = canonicalArgs(tool, args);
+  for (const [ruleArg, rule] of Object.entries(rules)) {
+    // a rule written against an alias (`y`) guards the canonical arg (`deltaY`)
+    const arg = canonicalArgName(tool, ruleArg);
+    if (!rule || typeof rule !== 'object') continue;
+    const unknown = Object.keys(rule).find((key) => !RULE_KEYS.includes(key));
+    // fail closed: a typo in a constraint must not silently allow everything
+    if (unknown) return { tool, arg, rule: 'invalid_rule', expected: unknown };
+    const value = getArg(args, arg);
+    if (isEmpty(value)) {
+      if (rule.required) return { tool, arg, rule: 'required' };
+      continue;
+    }
+    for (const item of toArray(value)) {
+      if (skip(item)) continue;
+      let violation;
+      try {
+        violation =
+          tool === 'shell' && arg === 'cmd' && rule.allow !== undefined && SHELL_METACHARACTERS.test(String(item))
+            ? { rule: 'shell_metacharacters', expected: SHELL_METACHARACTERS.source }
+            : checkValue(item, rule);
+      } catch (err) {
+        violation = { rule: 'invalid_rule', expected: err.message };
+      }
+      if (violation) {
+        return { tool, arg, ...violation, value: typeof item === 'string' ? item.slice(0, 200) : item };
+      }
+    }
+  }
+  return null;
+}
+
+export function toolArgError(violation) {
+  const err = new Error('tool_arg_violation');
+  err.details = violation;
+  return err;
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+
+// Replayable run trace (trace.json): every plan with its planner input and raw output, and every executed
+// step with resolved args, points, timings and outcome. replayTrace() in index.js re-runs it without the LLM.
+
+export const TRACE_VERSION = 1;
+export const TRACE_FILE = 'trace.json';
+
+export function createTraceRecorder({ artifactsDir, goal, profile, mode, driver, workspaceRoot, cookieDismiss, redact = (v) => v }) {
+  const startedAt = Date.now();
+  const plans = [];
+  let plan = null;
+  let snapshotCount = 0;
+
+  // screenshots go next to the trace as PNGs instead of base64 inside it
+  const detachScreenshot = (input) => {
+    const screenshot = input?.context?.visual?.screenshot;
+    if (!screenshot) return input;
+    snapshotCount += 1;
+    const file = path.join(artifactsDir, `trace-snapshot-${snapshotCount}.png`);
+    try {
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      fs.writeFileSync(file, Buffer.from(screenshot, 'base64'));
+    } catch (_) {
+      // keep the trace even if the image cannot be written
+    }
+    const { screenshot: _omit, ...visual } = input.context.visual;
+    return { ...input, context: { ...input.context, visual: { ...visual, screenshotPath: file } } };
+  };
+
+  return {
+    startedAt,
+    addPlan({ source, iteration = 0, input = null, result = {} }) {
+      plans.push({
+        at: Date.now() - startedAt,
+        source,
+        iteration,
+        // copied so later history/step mutations do not leak into the recorded input
+        input: input ? detachScreenshot(JSON.parse(JSON.stringify(input))) : null,
+        raw: result.raw ?? null,
+        plan: result.plan ?? null,
+        error: result.error ?? null
+      });
+    },
+    // the initial plan after normalization (replans are kept in plans[])
+    setPlan(value) {
+      plan = value;
+    },
+    write({ status, error, steps = [] }) {
+      const trace = {
+        version: TRACE_VERSION,
+        goal,
+        profile,
+        mode,
+        driver: typeof driver === 'string' ? driver : driver?.name || null,
+        workspace: workspaceRoot,
+        cookieDismiss,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        status,
+        error: error ?? null,
+        plan,
+        plans,
+        steps: steps.map((record) => ({
+          ...record,
+          at: Number.isFinite(record.startedAt) ? record.startedAt - startedAt : null
+        }))
+      };
+      try {
+        fs.mkdirSync(artifactsDir, { recursive: true });
+        const outPath = path.join(artifactsDir, TRACE_FILE);
+        fs.writeFileSync(outPath, JSON.stringify(redact(trace), null, 2));
+        return outPath;
+      } catch (_) {
+        return null;
+      }
+    }
+  };
+}
+
+// Accepts a trace object, a trace.json path or a run directory containing trace.json.
+export function readTrace(source) {
+  let trace = source;
+  if (typeof source === 'string') {
+    const file = fs.existsSync(source) && fs.statSync(source).isDirectory() ? path.join(source, TRACE_FILE) : source;
+    if (!fs.existsSync(file)) throw new Error(`trace_not_found:${file}`);
+    try {
+      trace = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      const invalid = new Error('invalid_trace');
+      invalid.details = { file, error: err.message };
+      throw invalid;
+    }
+  }
+  if (!trace || trace.version !== TRACE_VERSION || !Array.isArray(trace.steps)) {
+    throw new Error('invalid_trace');
+  }
+  return trace;
+}
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Workspace file access for read_file / write_file / upload / wait_for_download: realpath-based containment
+// (no sibling-prefix or symlink escapes), per-run byte quotas from the profile's `file_quota`, and an audit
+// trail of every operation, allowed or denied, in <artifactsDir>/file-audit.jsonl.
+
+export const FILE_AUDIT_FILE = 'file-audit.jsonl';
+
+function isInside(base, target) {
+  const rel = path.relative(base, target);
+  return rel === '' || (!rel.startsWith(`..${path.sep}`) && rel !== '..' && !path.isAbsolute(rel));
+}
+
+// Resolves symlinks on the longest existing prefix, so a path to a file that does not exist yet is
+// still checked against where its parent really lives.
+function realpathLoose(target) {
+  const pending = [];
+  let current = target;
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync(current), ...pending.reverse());
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+      const parent = path.dirname(current);
+      if (parent === current) return target;
+      pending.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+export function resolveSandboxPath(base, targetPath) {
+  if (targetPath === undefined || targetPath === null || targetPath === '') throw new Error('sandbox_violation');
+  const root = realpathLoose(path.resolve(base));
+  const resolved = realpathLoose(path.resolve(root, String(targetPath)));
+  if (!isInside(root, resolved)) {
+    throw new Error('sandbox_violation');
+  }
+  return resolved;
+}
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// quota: { read_bytes, write_bytes }; 0, null or missing means unlimited
+export function createWorkspaceFiles({ root, artifactsDir, quota = {} }) {
+  const usage = { read: 0, write: 0 };
+  const limits = { read: Number(quota?.read_bytes) || 0, write: Number(quota?.write_bytes) || 0 };
+  const relative = (file) => (file ? path.relative(realpathLoose(path.resolve(root)), file) || '.' : null);
+
+  const audit = (entry) => {
+    if (!artifactsDir) return;
+    try {
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      fs.appendFileSync(path.join(artifactsDir, FILE_AUDIT_FILE), `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    } catch (_) {
+      // auditing must not fail the file operation itself
+    }
+  };
+  const deny = (tool, op, requested, err) => {
+    audit({ tool, op, path: String(requested ?? ''), status: 'denied', error: err.message, ...err.details });
+    return err;
+  };
+
+  const files = {
+    usage,
+    resolve(tool, op, requested) {
+      try {
+        return resolveSandboxPath(root, requested);
+      } catch (err) {
+        throw deny(tool, op, requested, err);
+      }
+    },
+    // checked before the bytes move, so a refused write leaves nothing behind
+    charge(tool, op, bytes, file) {
+      if (limits[op] && usage[op] + bytes > limits[op]) {
+        const err = new Error('file_quota_exceeded');
+        err.details = { op, bytes, used: usage[op], limit: limits[op] };
+        throw deny(tool, op, relative(file), err);
+      }
+      usage[op] += bytes;
+    },
+    record(tool, op, file, buffer) {
+      audit({ tool, op, path: relative(file), bytes: buffer.length, sha256: sha256(buffer), status: 'ok' });
+    },
+    read(tool, requested) {
+      const file = files.resolve(tool, 'read', requested);
+      files.charge(tool, 'read', fs.statSync(file).size, file);
+      const buffer = fs.readFileSync(file);
+      files.record(tool, 'read', file, buffer);
+      return { file, buffer };
+    },
+    write(tool, requested, buffer) {
+      const file = files.resolve(tool, 'write', requested);
+      files.charge(tool, 'write', buffer.length, file);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, buffer);
+      files.record(tool, 'write', file, buffer);
+      return { file };
+    }
+  };
+  return files;
+}
@@ -0,0 +1,118 @@
+import ollama, { Ollama } from 'ollama';
+
+// Planner transports. Each factory returns { name, model, complete(messages) -> content string };
+// validation, repair and retry are shared in index.js so every backend behaves the same.
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function joinUrl(base, suffix) {
+  const trimmed = String(base).replace(/\/+$/, '');
+  // accept bases with or without the /v1 prefix
+  if (trimmed.endsWith('/v1') && suffix.startsWith('/v1/')) return `${trimmed}${suffix.slice(3)}`;
+  return `${trimmed}${suffix}`;
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`HTTP ${res.status}${text ? `: ${text.slice(0, 300)}` : ''}`);
+    }
+    return await res.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function createOllamaAdapter({ model, host } = {}) {
+  const client = host ? new Ollama({ host }) : ollama;
+  const resolvedModel = model || process.env.OLLAMA_MODEL || 'qwen3-vl:4b';
+  return {
+    name: 'ollama',
+    model: resolvedModel,
+    async complete(messages) {
+      const response = await client.chat({ model: resolvedModel, messages, format: 'json' });
+      return response?.message?.content;
+    }
+  };
+}
+
+function createOpenAIAdapter({ model, host, apiKey, timeoutMs } = {}) {
+  const base = host || process.env.OPENAI_BASE_URL || 'http://localhost:11434';
+  const key = apiKey || process.env.OPENAI_API_KEY;
+  const resolvedModel = model || process.env.OPENAI_MODEL || process.env.OLLAMA_MODEL || 'qwen3-vl:4b';
+  return {
+    name: 'openai',
+    model: resolvedModel,
+    async complete(messages) {
+      const data = await postJson(
+        joinUrl(base, '/v1/chat/completions'),
+        { model: resolvedModel, messages, stream: false, response_format: { type: 'json_object' } },
+        { headers: key ? { Authorization: `Bearer ${key}` } : {}, timeoutMs }
+      );
+      return data?.choices?.[0]?.message?.content;
+    }
+  };
+}
+
+function createAnthropicAdapter({ model, host, apiKey, timeoutMs, maxTokens = 4096 } = {}) {
+  const base = host || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+  const key = apiKey || process.env.ANTHROPIC_API_KEY;
+  const resolvedModel = model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+  return {
+    name: 'anthropic',
+    model: resolvedModel,
+    async complete(messages) {
+      // Messages API takes system prompts separately and only user/assistant turns in the list
+      const system = messages
+        .filter((m) => m.role === 'system')
+        .map((m) => m.content)
+        .join('\n\n');
+      const turns = messages.filter((m) => m.role !== 'system');
+      const headers = { 'anthropic-version': ANTHROPIC_VERSION };
+      if (key) headers['x-api-key'] = key;
+      const data = await postJson(
+        joinUrl(base, '/v1/messages'),
+        { model: resolvedModel, max_tokens: maxTokens, system, messages: turns },
+        { headers, timeoutMs }
+      );
+      const blocks = Array.isArray(data?.content) ? data.content : [];
+      return blocks
+        .filter((b) => b?.type === 'text')
+        .map((b) => b.text)
+        .join('');
+    }
+  };
+}
+
+const PLANNER_ADAPTERS = {
+  ollama: createOllamaAdapter,
+  openai: createOpenAIAdapter,
+  anthropic: createAnthropicAdapter
+};
+
+export function registerPlannerAdapter(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('invalid_planner_adapter');
+  }
+  PLANNER_ADAPTERS[name] = factory;
+}
+
+export function listPlannerAdapters() {
+  return Object.keys(PLANNER_ADAPTERS);
+}
+
+export function createTransport(provider, config) {
+  const factory = PLANNER_ADAPTERS[provider];
+  if (!factory) return null;
+  return factory(config);
+}
@@ -3,7 +3,7 @@ import addFormats from 'ajv-formats';
 import { randomUUID } from 'crypto';
 import fs from 'fs';
 import path from 'path';
-import ollama, { Ollama } from 'ollama';
+import { createTransport, listPlannerAdapters, registerPlannerAdapter } from './adapters.js';
 
 const ALLOWED_TOOLS = [
   'navigate',
@@ -11,17 +11,38 @@ const ALLOWED_TOOLS = [
   'click_point',
   'drag',
   'type',
+  'select_option',
+  'set_checked',
+  'fill_form',
   'hotkey',
   'long_press',
   'scroll',
   'wait_for_idle',
   'snapshot',
+  'list_tabs',
+  'switch_tab',
+  'close_tab',
+  'new_tab',
+  'block_requests',
+  'mock_response',
+  'wait_for_response',
+  'extract_text',
+  'extract_table',
+  'extract_schema',
   'fetch',
   'read_file',
   'write_file',
+  'upload',
+  'wait_for_download',
   'shell'
 ];
 const DEFAULT_AUTONOMY = 'assisted';
+const DEFAULT_PROVIDER = 'ollama';
+const PLAN_STATUSES = ['continue', 'replan', 'done'];
+const ON_ERROR_ACTIONS = ['abort', 'continue', 'replan', 'ask_human'];
+const MAX_HISTORY_ENTRIES = 20;
+const MAX_HISTORY_OUTPUT_CHARS = 1500;
+const MAX_EXTRACTION_INPUT_CHARS = 20000;
 const SYSTEM_PROMPT = `You are a planning engine. You do NOT execute actions; you ONLY return structured plans using registered tools.
 
 Output rules:
@@ -30,17 +51,35 @@ Output rules:
 - tool must be one of: ${ALLOWED_TOOLS.join(', ')}.
 - estimated_risk is "low" | "medium" | "high".
 - confidence is a number between 0 and 1.
+- Optional status ("continue" | "replan" | "done") is used in closed-loop runs when execution history is provided.
+- Optional per-step expect { url?, title?, visible?, hidden?, text?, status?, timeoutMs? } states what must hold after the step; use it for steps whose success matters.
+- Optional per-step retry ({ count, backoffMs }), timeoutMs and on_error ("abort" | "continue" | "replan" | "ask_human") override the profile's failure handling.
+- Args may reference outputs of earlier steps with {{steps.<idx>.output.<field>}} (idx as shown in the execution history, starting at 0).
 - Do not invent tools or bypass policy hints.`;
 
+const EXPECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    title: { type: 'string' },
+    visible: { type: 'string' },
+    hidden: { type: 'string' },
+    text: { type: 'string' },
+    status: { type: 'integer', minimum: 100, maximum: 599 },
+    timeoutMs: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
 export const PLAN_SCHEMA = {
   type: 'object',
   properties: {
     reasoning_summary: { type: 'string' },
     plan_id: { type: 'string' },
     autonomy_level: { type: 'string', enum: ['assisted', 'semi_auto', 'auto'] },
+    status: { type: 'string', enum: PLAN_STATUSES },
     steps: {
       type: 'array',
-      minItems: 1,
       items: {
         type: 'object',
         properties: {
@@ -48,7 +87,18 @@ export const PLAN_SCHEMA = {
           args: { type: 'object' },
           explanation: { type: 'string' },
           estimated_risk: { type: 'string', enum: ['low', 'medium', 'high'] },
-          confidence: { type: 'number', minimum: 0, maximum: 1 }
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          expect: EXPECT_SCHEMA,
+          retry: {
+            type: 'object',
+            properties: {
+              count: { type: 'integer', minimum: 0, maximum: 10 },
+              backoffMs: { type: 'number', minimum: 0 }
+            },
+            additionalProperties: false
+          },
+          timeoutMs: { type: 'number', minimum: 0 },
+          on_error: { type: 'string', enum: ON_ERROR_ACTIONS }
         },
         required: ['tool', 'args', 'explanation', 'estimated_risk', 'confidence'],
         additionalProperties: false
@@ -56,12 +106,28 @@ export const PLAN_SCHEMA = {
     }
   },
   required: ['reasoning_summary', 'plan_id', 'autonomy_level', 'steps'],
-  additionalProperties: false
+  additionalProperties: false,
+  // steps may only be empty when the planner declares the goal done or keeps the previous plan
+  if: { properties: { status: { enum: ['continue', 'done'] } }, required: ['status'] },
+  then: {},
+  else: { properties: { steps: { minItems: 1 } } }
 };
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 addFormats(ajv);
 const validate = ajv.compile(PLAN_SCHEMA);
+// caller schemas are compiled once per distinct schema, so repeated extractions do not grow Ajv's cache
+const compiledSchemas = new Map();
+
+function compileSchema(schema) {
+  const key = JSON.stringify(schema);
+  let check = compiledSchemas.get(key);
+  if (!check) {
+    check = ajv.compile(schema);
+    compiledSchemas.set(key, check);
+  }
+  return check;
+}
 
 const PROMPT_TEMPLATES = {
   computer: [
@@ -69,6 +135,11 @@ const PROMPT_TEMPLATES = {
     'Use mouse-like actions (click_point/drag/scroll), keyboard (type/hotkey), DOM-aware actions (navigate/click/type), and utility tools (snapshot/fetch/files/shell if allowed).',
     'Prefer semantic DOM tools when an id/label is provided; otherwise fall back to coordinate tools.',
     'Interactable list may include bounding boxes (bbox); use them to choose points when IDs are missing.',
+    'Interactable ids like @e12 are exact element refs from the latest snapshot (with role, name, states and value); use them verbatim for click/type.',
+    'Use select_option for <select> elements, set_checked for checkboxes/radios, and fill_form({ fields: { label: value } }) to fill several fields at once.',
+    'context.tabs lists open tabs (id, url, title, active); use switch_tab/close_tab/new_tab to move between them.',
+    'Use wait_for_response({ urlPattern }) after an action that triggers an API call when its result matters; block_requests/mock_response are for test fixtures.',
+    'Interactables inside iframes carry frame: "f2" (see context.page.frames); pass args.frame with click/type/scroll when targeting them by label instead of @ref.',
     'Avoid hallucinating elements; plan only with given goal/context.'
   ],
   mobile: [
@@ -97,10 +168,15 @@ function loadRalphPrompt() {
 
 const RALPH_PROMPT = loadRalphPrompt();
 
+function stripCodeFences(text) {
+  const m = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return m ? m[1] : text;
+}
+
 function parsePlanContent(content) {
   if (!content) return { error: 'empty_response' };
   try {
-    const parsed = JSON.parse(content.trim());
+    const parsed = JSON.parse(stripCodeFences(content.trim()));
     return { plan: parsed };
   } catch (err) {
     return { error: 'invalid_json', details: err.message, raw: content };
@@ -158,6 +234,12 @@ function normalizeArgs(tool, args) {
       return { from: parsePoint(list[0]), to: parsePoint(list[1]), durationMs: list[2] };
     case 'type':
       return { id: clean(list[0]), text: list[1] };
+    case 'select_option':
+      return { id: clean(list[0]), value: list[1] };
+    case 'set_checked':
+      return { id: clean(list[0]), checked: list[1] ?? true };
+    case 'fill_form':
+      return { fields: list[0] };
     case 'hotkey':
       return { keys: Array.isArray(list[0]) ? list[0] : String(list.join(' ')).split(/[+ ]+/).filter(Boolean) };
     case 'long_press':
@@ -167,7 +249,28 @@ function normalizeArgs(tool, args) {
     case 'wait_for_idle':
       return { timeoutMs: list[0] };
     case 'snapshot':
+    case 'list_tabs':
       return {};
+    case 'switch_tab':
+    case 'close_tab':
+      return { tab: clean(list[0]) };
+    case 'new_tab':
+      return { url: clean(list[0]) };
+    case 'upload':
+      return { id: clean(list[0]), path: clean(list[1]) };
+    case 'wait_for_download':
+      return { saveAs: clean(list[0]) };
+    case 'block_requests':
+      return { resourceTypes: Array.isArray(list[0]) ? list[0] : list.filter(Boolean) };
+    case 'mock_response':
+      return { urlPattern: clean(list[0]), status: list[1], body: list[2] };
+    case 'wait_for_response':
+      return { urlPattern: clean(list[0]), status: list[1] };
+    case 'extract_text':
+    case 'extract_table':
+      return { selector: clean(list[0]) };
+    case 'extract_schema':
+      return { schema: list[0], selector: clean(list[1]) };
     case 'fetch':
       return {
         url: clean(list[0]),
@@ -210,7 +313,13 @@ function normalizePlan(plan, fallbackAutonomy = DEFAULT_AUTONOMY) {
     const estimated_risk = typeof riskRaw === 'string' ? riskRaw.toLowerCase() : 'medium';
     const explanation = typeof step.explanation === 'string' ? step.explanation : step.reason || '';
     const confidence = clampConfidence(step.confidence ?? step.score);
-    return { tool, args, explanation, estimated_risk, confidence };
+    const normalizedStep = { tool, args, explanation, estimated_risk, confidence };
+    if (step.expect && typeof step.expect === 'object') normalizedStep.expect = step.expect;
+    if (Number.isInteger(step.retry)) normalizedStep.retry = { count: step.retry };
+    else if (step.retry && typeof step.retry === 'object') normalizedStep.retry = step.retry;
+    if (step.timeoutMs !== undefined) normalizedStep.timeoutMs = Number(step.timeoutMs);
+    if (typeof step.on_error === 'string') normalizedStep.on_error = step.on_error.trim().toLowerCase();
+    return normalizedStep;
   });
 
   const toStringSafe = (val) => {
@@ -230,12 +339,16 @@ function normalizePlan(plan, fallbackAutonomy = DEFAULT_AUTONOMY) {
     fallbackAutonomy ||
     DEFAULT_AUTONOMY;
 
-  return {
+  const normalized = {
     reasoning_summary: toStringSafe(plan.reasoning_summary || plan.summary || ''),
     plan_id: plan.plan_id || plan.planId || createPlanId(),
     autonomy_level: autonomy,
     steps: normalizedSteps
   };
+  if (typeof plan.status === 'string' && plan.status.trim()) {
+    normalized.status = plan.status.trim().toLowerCase();
+  }
+  return normalized;
 }
 
 function pickPromptVariant({ capability_profile, promptVariant }) {
@@ -254,8 +367,36 @@ function trimContext(context) {
   return clone;
 }
 
+function clipStrings(value, max) {
+  if (typeof value === 'string') {
+    return value.length > max ? `${value.slice(0, max)}… (${value.length - max} more chars)` : value;
+  }
+  if (Array.isArray(value)) return value.map((v) => clipStrings(v, max));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clipStrings(v, max)]));
+  }
+  return value;
+}
+
+function buildHistoryBlock(history, remainingSteps) {
+  if (!Array.isArray(history)) return null;
+  // step outputs can carry whole response bodies/files; keep the prompt bounded
+  const recent = history.slice(-MAX_HISTORY_ENTRIES).map((entry) => clipStrings(entry, MAX_HISTORY_OUTPUT_CHARS));
+  const lines = [
+    `Execution history (last ${recent.length} of ${history.length} steps):`,
+    JSON.stringify(recent, null, 2)
+  ];
+  if (Array.isArray(remainingSteps) && remainingSteps.length) {
+    lines.push(`Remaining steps of the current plan:\n${JSON.stringify(remainingSteps, null, 2)}`);
+  }
+  lines.push(
+    'Set status to "done" (steps may be empty) if the goal is already achieved, "continue" (steps may be empty) to keep the remaining steps, or "replan" with new steps that replace them.'
+  );
+  return lines.join('\n');
+}
+
 function buildMessages(input, policyHint, promptVariant) {
-  const { goal, context, capability_profile, tool_catalog } = input;
+  const { goal, context, capability_profile, tool_catalog, history, remaining_steps } = input;
   const safeContext = trimContext(context);
   const toolList = Array.isArray(tool_catalog)
     ? tool_catalog.map((t) => `${t.name}${t.risk_level ? ` (risk: ${t.risk_level})` : ''}`).join(', ')
@@ -278,6 +419,7 @@ function buildMessages(input, policyHint, promptVariant) {
         `Allowed tools: ${toolList}`,
         policyHint ? `Policy constraints:\n${policyHint}` : null,
         contextBlock,
+        buildHistoryBlock(history, remaining_steps),
         'Return ONLY one JSON object with fields reasoning_summary, plan_id, autonomy_level, steps[{tool,args,explanation,estimated_risk,confidence}].',
         'Do not include code fences or any other text.'
       ]
@@ -287,11 +429,33 @@ function buildMessages(input, policyHint, promptVariant) {
   ].filter(Boolean);
 }
 
-function createClient(host) {
-  return host ? new Ollama({ host }) : ollama;
+// Shared by plans and extraction: ask, parse, check; on failure show the model its answer and ask once more.
+// check(value) returns { value } or { errors }; repairPrompt(errors) is the follow-up user message.
+async function completeWithRepair(transport, messages, check, repairPrompt) {
+  let lastRaw;
+  let lastErrors = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let raw;
+    try {
+      raw = await transport.complete(messages);
+    } catch (err) {
+      return { error: `${transport.name}_error`, details: err.message };
+    }
+    lastRaw = raw;
+    const parsed = parsePlanContent(raw);
+    const result = parsed.error ? { errors: parsed.details || parsed.error } : check(parsed.plan);
+    if (!result.errors) return { value: result.value, raw };
+    lastErrors = result.errors;
+    messages = [
+      ...messages,
+      { role: 'assistant', content: raw || '' },
+      { role: 'user', content: repairPrompt(lastErrors) }
+    ];
+  }
+  return { invalid: true, details: lastErrors, raw: lastRaw };
 }
 
-export async function planGoal(goalInput, options = {}) {
+async function generatePlanWith(transport, goalInput, options = {}) {
   const goalPayload = typeof goalInput === 'string' ? { goal: goalInput } : goalInput || {};
   const goal = goalPayload?.goal;
   if (!goal || typeof goal !== 'string' || !goal.trim()) {
@@ -299,8 +463,6 @@ export async function planGoal(goalInput, options = {}) {
   }
 
   const {
-    model = process.env.OLLAMA_MODEL || 'qwen3-vl:4b',
-    host,
     policyHint,
     toolCatalog: toolCatalogOpt,
     tool_catalog: toolCatalogAlt,
@@ -316,53 +478,106 @@ export async function planGoal(goalInput, options = {}) {
 
   const capability_profile = goalPayload.capability_profile || capabilityProfile || DEFAULT_AUTONOMY;
   const context = goalPayload.context;
+  const { history, remaining_steps } = goalPayload;
   const promptVariant = goalPayload.prompt_variant || promptVariantOpt;
+  const { model, name: provider } = transport;
 
-  const client = createClient(host);
   let messages = buildMessages(
-    { goal, context, capability_profile, tool_catalog: toolCatalog },
+    { goal, context, capability_profile, tool_catalog: toolCatalog, history, remaining_steps },
     policyHint,
     promptVariant
   );
   messages = messages.filter(Boolean);
-  let lastRaw;
 
-  for (let attempt = 0; attempt < 2; attempt++) {
-    let response;
-    try {
-      response = await client.chat({
-        model,
-        messages,
-        format: 'json'
-      });
-    } catch (err) {
-      return { error: 'ollama_error', details: err.message };
-    }
+  const result = await completeWithRepair(
+    transport,
+    messages,
+    (candidate) => {
+      const validated = validatePlanSchema(candidate, capability_profile);
+      return validated.error ? { errors: validated.details } : { value: validated.plan };
+    },
+    () => 'The previous response was invalid. Respond again with ONLY one JSON object that is a valid instance of the schema (no code fences, no extra text).'
+  );
+  if (result.error) return result;
+  if (result.invalid) return { error: 'schema_validation_failed', details: result.details, raw: result.raw };
+  return { plan: result.value, raw: result.raw, model, provider };
+}
 
-    const content = response?.message?.content;
-    lastRaw = content;
-    const parsed = parsePlanContent(content);
-    if (!parsed.error) {
-      const validated = validatePlanSchema(parsed.plan, capability_profile);
-      if (!validated.error) {
-        return { plan: validated.plan, raw: lastRaw, model };
-      }
-    }
+// Adapter contract from PLANNER.md: { name, model, generatePlan(input) }.
+// Provider comes from options.provider, then LOOPERT_PROVIDER, then ollama.
+export function createPlannerAdapter(options = {}) {
+  const provider = options.provider || process.env.LOOPERT_PROVIDER || DEFAULT_PROVIDER;
+  const transport = createTransport(provider, options);
+  if (!transport) return null;
+  return {
+    name: transport.name,
+    model: transport.model,
+    generatePlan: (input) => generatePlanWith(transport, input, options)
+  };
+}
 
-    messages = [
-      ...messages,
-      { role: 'assistant', content: content || '' },
-      {
-        role: 'user',
-        content:
-          'The previous response was invalid. Respond again with ONLY one JSON object that is a valid instance of the schema (no code fences, no extra text).'
-      }
-    ];
+export async function planGoal(goalInput, options = {}) {
+  const adapter = createPlannerAdapter(options);
+  if (!adapter) {
+    return {
+      error: 'unknown_provider',
+      details: { provider: options.provider || process.env.LOOPERT_PROVIDER, available: listPlannerAdapters() }
+    };
   }
+  return adapter.generatePlan(goalInput);
+}
 
-  return { error: 'schema_validation_failed', details: validate.errors, raw: lastRaw };
+// Fill a caller-supplied JSON Schema from page content using the configured provider.
+// The answer is validated with the shared Ajv instance and repaired once, like plans.
+export async function extractStructured(input = {}, options = {}) {
+  const { schema, content, instructions } = input;
+  if (!schema || typeof schema !== 'object') {
+    return { error: 'invalid_extraction_schema', details: 'schema must be a JSON Schema object' };
+  }
+  let check;
+  try {
+    check = compileSchema(schema);
+  } catch (err) {
+    return { error: 'invalid_extraction_schema', details: err.message };
+  }
+  const provider = options.provider || process.env.LOOPERT_PROVIDER || DEFAULT_PROVIDER;
+  const transport = createTransport(provider, options);
+  if (!transport) {
+    return { error: 'unknown_provider', details: { provider, available: listPlannerAdapters() } };
+  }
+
+  const text = String(content ?? '').slice(0, MAX_EXTRACTION_INPUT_CHARS);
+  const messages = [
+    {
+      role: 'system',
+      content:
+        'You extract structured data from web page content. Return a single JSON object that is a valid instance of the given JSON Schema. Use only facts present in the content; use null where the schema allows it and the value is missing. No code fences, no text outside the JSON.'
+    },
+    {
+      role: 'user',
+      content: [
+        instructions ? `Instructions: ${instructions}` : null,
+        `JSON Schema:\n${JSON.stringify(schema, null, 2)}`,
+        `Page content:\n${text}`
+      ]
+        .filter(Boolean)
+        .join('\n\n')
+    }
+  ];
+  const result = await completeWithRepair(
+    transport,
+    messages,
+    (candidate) => (check(candidate) ? { value: candidate } : { errors: check.errors }),
+    (errors) =>
+      `The previous response was invalid (${JSON.stringify(errors)}). Respond again with ONLY one JSON object that is a valid instance of the schema.`
+  );
+  if (result.error) return result;
+  if (result.invalid) return { error: 'extraction_validation_failed', details: result.details, raw: result.raw };
+  return { data: result.value, raw: result.raw, model: transport.model, provider: transport.name };
 }
 
+export { listPlannerAdapters, registerPlannerAdapter };
+
 export function validatePlan(plan, fallbackAutonomy) {
   return validatePlanSchema(plan, fallbackAutonomy);
 }
@@ -370,3 +585,15 @@ export function validatePlan(plan, fallbackAutonomy) {
 export function schemaErrors() {
   return validate.errors;
 }
+
+// Validates any document against a caller's JSON Schema with the shared Ajv instance.
+export function validateJson(schema, data) {
+  let check;
+  try {
+    check = compileSchema(schema);
+  } catch (err) {
+    return { error: 'invalid_schema', details: err.message };
+  }
+  if (check(data)) return { ok: true };
+  return { error: 'schema_validation_failed', details: check.errors };
+}
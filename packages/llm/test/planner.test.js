@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { PLAN_SCHEMA, extractStructured, planGoal, validatePlan } from '../index.js';
+
+const VALID_PLAN = {
+  reasoning_summary: 'open the page',
+  plan_id: 'plan-1',
+  autonomy_level: 'assisted',
+  steps: [{ tool: 'navigate', args: { url: 'https://example.com' }, explanation: 'go', estimated_risk: 'low', confidence: 0.9 }]
+};
+
+// Answers queued per test; every request is recorded with its path, headers and parsed body.
+const server = { requests: [], replies: [] };
+
+function reply(content, shape) {
+  if (shape === 'ollama') return { model: 'm', message: { role: 'assistant', content }, done: true };
+  if (shape === 'anthropic') return { content: [{ type: 'text', text: content }] };
+  return { choices: [{ message: { role: 'assistant', content } }] };
+}
+
+before(async () => {
+  server.http = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const next = server.replies.shift() || { status: 500, body: 'no reply queued' };
+      const shape = req.url.startsWith('/api/chat') ? 'ollama' : req.url.endsWith('/messages') ? 'anthropic' : 'openai';
+      res.writeHead(next.status || 200, { 'Content-Type': 'application/json' });
+      res.end(next.status ? next.body : JSON.stringify(reply(next.content, shape)));
+    });
+  });
+  await new Promise((resolve) => server.http.listen(0, '127.0.0.1', resolve));
+  server.base = `http://127.0.0.1:${server.http.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.http.close(resolve)));
+
+beforeEach(() => {
+  server.requests = [];
+  server.replies = [];
+});
+
+describe('transports', () => {
+  test('ollama posts to /api/chat with json format', async () => {
+    server.replies.push({ content: JSON.stringify(VALID_PLAN) });
+    const result = await planGoal('open example.com', { provider: 'ollama', host: server.base, model: 'qwen-test' });
+    assert.equal(result.error, undefined);
+    assert.equal(result.provider, 'ollama');
+    assert.equal(result.model, 'qwen-test');
+    assert.deepEqual(result.plan.steps[0].args, { url: 'https://example.com' });
+    const [req] = server.requests;
+    assert.equal(req.url, '/api/chat');
+    assert.equal(req.body.model, 'qwen-test');
+    assert.equal(req.body.format, 'json');
+    assert.equal(req.body.messages[0].role, 'system');
+    assert.match(req.body.messages.at(-1).content, /Goal: open example.com/);
+  });
+
+  test('openai posts chat completions with bearer key and json response format', async () => {
+    server.replies.push({ content: JSON.stringify(VALID_PLAN) });
+    const result = await planGoal('open example.com', {
+      provider: 'openai',
+      host: `${server.base}/v1`,
+      model: 'gpt-test',
+      apiKey: 'sk-test'
+    });
+    assert.equal(result.provider, 'openai');
+    assert.equal(result.plan.plan_id, 'plan-1');
+    const [req] = server.requests;
+    assert.equal(req.url, '/v1/chat/completions');
+    assert.equal(req.headers.authorization, 'Bearer sk-test');
+    assert.equal(req.body.model, 'gpt-test');
+    assert.equal(req.body.stream, false);
+    assert.deepEqual(req.body.response_format, { type: 'json_object' });
+  });
+
+  test('anthropic sends system prompts separately with version and api key headers', async () => {
+    server.replies.push({ content: JSON.stringify(VALID_PLAN) });
+    const result = await planGoal('open example.com', {
+      provider: 'anthropic',
+      host: server.base,
+      model: 'claude-test',
+      apiKey: 'ak-test'
+    });
+    assert.equal(result.provider, 'anthropic');
+    assert.equal(result.plan.steps.length, 1);
+    const [req] = server.requests;
+    assert.equal(req.url, '/v1/messages');
+    assert.equal(req.headers['x-api-key'], 'ak-test');
+    assert.equal(req.headers['anthropic-version'], '2023-06-01');
+    assert.equal(req.body.model, 'claude-test');
+    assert.match(req.body.system, /planning engine/);
+    assert.ok(req.body.messages.every((m) => m.role !== 'system'));
+    assert.ok(req.body.max_tokens > 0);
+  });
+
+  test('http errors surface as <provider>_error', async () => {
+    server.replies.push({ status: 401, body: '{"error":"bad key"}' });
+    const result = await planGoal('open example.com', { provider: 'openai', host: server.base, model: 'm' });
+    assert.equal(result.error, 'openai_error');
+    assert.match(result.details, /HTTP 401/);
+  });
+
+  test('unknown providers are rejected without a request', async () => {
+    const result = await planGoal('open example.com', { provider: 'nope' });
+    assert.equal(result.error, 'unknown_provider');
+    assert.ok(result.details.available.includes('anthropic'));
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+describe('repair loop', () => {
+  test('an invalid answer is sent back once and the repaired plan is returned', async () => {
+    server.replies.push({ content: '{"steps": "not a list"' }, { content: `\`\`\`json\n${JSON.stringify(VALID_PLAN)}\n\`\`\`` });
+    const result = await planGoal('open example.com', { provider: 'openai', host: server.base, model: 'm' });
+    assert.equal(result.error, undefined);
+    assert.equal(result.plan.plan_id, 'plan-1');
+    assert.equal(server.requests.length, 2);
+    const retry = server.requests[1].body.messages;
+    assert.equal(retry.at(-2).role, 'assistant');
+    assert.equal(retry.at(-2).content, '{"steps": "not a list"');
+    assert.match(retry.at(-1).content, /previous response was invalid/);
+  });
+
+  test('gives up after the second invalid answer', async () => {
+    const badTool = { ...VALID_PLAN, steps: [{ ...VALID_PLAN.steps[0], tool: 'rm_rf' }] };
+    server.replies.push({ content: JSON.stringify(badTool) }, { content: JSON.stringify(badTool) });
+    const result = await planGoal('open example.com', { provider: 'openai', host: server.base, model: 'm' });
+    assert.equal(result.error, 'schema_validation_failed');
+    assert.ok(result.details.some((e) => e.keyword === 'enum'));
+    assert.equal(server.requests.length, 2);
+  });
+
+  test('extraction uses the same loop and reports the schema errors to the model', async () => {
+    const schema = { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] };
+    server.replies.push({ content: '{"price":"12"}' }, { content: '{"price":12}' });
+    const result = await extractStructured({ schema, content: 'Price: 12' }, { provider: 'openai', host: server.base, model: 'm' });
+    assert.deepEqual(result.data, { price: 12 });
+    assert.match(server.requests[1].body.messages.at(-1).content, /must be number/);
+  });
+});
+
+describe('PLAN_SCHEMA', () => {
+  test('normalizes positional args and loose fields before validating', () => {
+    const result = validatePlan({
+      summary: 'search',
+      steps: [{ tool: 'type', args: ['@e3', 'hello'], risk: 'LOW', score: 3 }]
+    });
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.plan.steps[0].args, { id: '@e3', text: 'hello' });
+    assert.equal(result.plan.steps[0].estimated_risk, 'low');
+    assert.equal(result.plan.steps[0].confidence, 1);
+    assert.equal(result.plan.autonomy_level, 'assisted');
+    assert.match(result.plan.plan_id, /^plan-/);
+  });
+
+  test('rejects unknown tools, bad risk levels and extra step fields', () => {
+    for (const step of [
+      { ...VALID_PLAN.steps[0], tool: 'format_disk' },
+      { ...VALID_PLAN.steps[0], estimated_risk: 'extreme' },
+      { ...VALID_PLAN.steps[0], on_error: 'explode' }
+    ]) {
+      const result = validatePlan({ ...VALID_PLAN, steps: [step] });
+      assert.equal(result.error, 'schema_validation_failed', JSON.stringify(step));
+    }
+  });
+
+  test('empty steps are only valid with status done or continue', () => {
+    assert.equal(validatePlan({ ...VALID_PLAN, steps: [] }).error, 'schema_validation_failed');
+    assert.equal(validatePlan({ ...VALID_PLAN, steps: [], status: 'replan' }).error, 'schema_validation_failed');
+    assert.equal(validatePlan({ ...VALID_PLAN, steps: [], status: 'done' }).error, undefined);
+    assert.equal(validatePlan({ ...VALID_PLAN, steps: [], status: 'continue' }).error, undefined);
+  });
+
+  test('the schema lists every planner tool', () => {
+    const tools = PLAN_SCHEMA.properties.steps.items.properties.tool.enum;
+    for (const tool of ['navigate', 'extract_schema', 'wait_for_response', 'shell']) assert.ok(tools.includes(tool));
+  });
+});
@@ -48,7 +48,7 @@ function runGoal(goal, taskProfile, taskPrompt) {
     '--yes',
     '--headless',
     `--disable-test-site=${disableTestSite}`,
-    `--profile=${taskProfile || profile}`,
+    `--guardrail-profile=${taskProfile || profile}`,
     taskPrompt ? `--prompt-variant=${taskPrompt}` : promptVariant ? `--prompt-variant=${promptVariant}` : null
   ].filter(Boolean);
 